@@ -0,0 +1,147 @@
+/**
+ * channels.js — Delivery channels behind /api/send: WhatsApp first, then SMS and email fallbacks
+ * Every adapter exposes send({ to, email, text, subject }) and never throws
+ */
+
+const nodemailer = require('nodemailer');
+
+const CHANNELS = ['whatsapp', 'sms', 'email'];
+const FALLBACK_CHANNELS = ['sms', 'email'];
+const SEND_TIMEOUT_MS = parseInt(process.env.CHANNEL_TIMEOUT_MS || '10000');
+
+/**
+ * Fallback list from a request (array or "sms,email") or the API key column.
+ * WhatsApp is always tried first, so it is not part of the list.
+ *
+ * @returns {{ channels: string[] } | { error: string }}
+ */
+function parseFallbackList(value) {
+    if (value === undefined || value === null || value === '') return { channels: [] };
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const channels = [];
+    for (const raw of list) {
+        const name = String(raw).trim().toLowerCase();
+        if (!name || name === 'whatsapp') continue;
+        if (!FALLBACK_CHANNELS.includes(name)) {
+            return { error: `fallback channel '${name}' is not supported (use ${FALLBACK_CHANNELS.join(', ')})` };
+        }
+        if (!channels.includes(name)) channels.push(name);
+    }
+    return { channels };
+}
+
+/**
+ * Generic HTTP SMS gateway: POST { to, from, text } as JSON with a bearer token.
+ * Any 2xx counts as accepted; `id` or `message_id` in the reply is kept as the provider id.
+ */
+function createHttpSmsChannel({ url, token = null, from = null, timeoutMs = SEND_TIMEOUT_MS }) {
+    return {
+        name: 'sms',
+        provider: new URL(url).host,
+        async send({ to, text }) {
+            try {
+                const headers = { 'Content-Type': 'application/json', 'User-Agent': 'OTPFlow-SMS/1.0' };
+                if (token) headers.Authorization = `Bearer ${token}`;
+                const res = await fetch(url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({ to, from, text }),
+                    signal: AbortSignal.timeout(timeoutMs)
+                });
+                const reply = await res.json().catch(() => ({}));
+                if (!res.ok) return { success: false, error: reply.error || `HTTP ${res.status}` };
+                return { success: true, providerMessageId: String(reply.id || reply.message_id || '') || null };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        }
+    };
+}
+
+/**
+ * SMTP email. Needs the recipient's address — a send without one fails so the next channel runs.
+ */
+function createSmtpEmailChannel({ host, port = 587, secure = false, user = null, pass = null, from, timeoutMs = SEND_TIMEOUT_MS }) {
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: timeoutMs,
+        greetingTimeout: timeoutMs,
+        socketTimeout: timeoutMs
+    });
+    return {
+        name: 'email',
+        provider: host,
+        async send({ email, text, subject }) {
+            if (!email) return { success: false, error: 'No email address for this recipient' };
+            try {
+                const info = await transport.sendMail({ from, to: email, subject: subject || 'Your verification code', text });
+                return { success: true, providerMessageId: info.messageId || null };
+            } catch (err) {
+                return { success: false, error: err.message };
+            }
+        }
+    };
+}
+
+/**
+ * Fallback adapters configured through the environment, keyed by channel name
+ */
+function createChannelsFromEnv(env = process.env) {
+    const channels = {};
+    if (env.SMS_GATEWAY_URL) {
+        channels.sms = createHttpSmsChannel({ url: env.SMS_GATEWAY_URL, token: env.SMS_GATEWAY_TOKEN, from: env.SMS_GATEWAY_FROM });
+    }
+    if (env.SMTP_HOST) {
+        channels.email = createSmtpEmailChannel({
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT || '587'),
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            from: env.SMTP_FROM || env.SMTP_USER
+        });
+    }
+    return channels;
+}
+
+/**
+ * Try channels in order until one accepts the message.
+ * onAttempt(channel, result, durationMs) is awaited after every try so each attempt can be recorded.
+ * A throttled result (the channel has capacity again after result.retryAfterMs) ends the walk:
+ * the caller retries later instead of paying for a fallback.
+ *
+ * @param {Array<{ name: string, send: Function }>} channels
+ * @returns {Promise<{ success: boolean, channel: string|null, result: object, errors: string[], throttled?: boolean }>}
+ */
+async function sendWithFallback(channels, message, onAttempt = async () => { }) {
+    const errors = [];
+    let last = { success: false, error: 'No channels to try' };
+    for (const channel of channels) {
+        const started = Date.now();
+        let result;
+        try {
+            result = await channel.send(message);
+        } catch (err) {
+            result = { success: false, error: err.message };
+        }
+        await onAttempt(channel, result, Date.now() - started);
+        if (result.success) return { success: true, channel: channel.name, result, errors };
+        errors.push(`${channel.name}: ${result.error || 'failed'}`);
+        if (result.throttled) return { success: false, channel: null, result, errors, throttled: true };
+        last = result;
+    }
+    return { success: false, channel: null, result: last, errors };
+}
+
+module.exports = {
+    CHANNELS,
+    FALLBACK_CHANNELS,
+    parseFallbackList,
+    createHttpSmsChannel,
+    createSmtpEmailChannel,
+    createChannelsFromEnv,
+    sendWithFallback
+};
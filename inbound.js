@@ -0,0 +1,75 @@
+/**
+ * inbound.js — Parsing of inbound WhatsApp messages and opt-out keyword rules
+ * Works on raw Baileys WAMessage objects from messages.upsert
+ */
+
+// Whole-message keywords (case-insensitive, surrounding punctuation ignored)
+const KEYWORD_RULES = {
+    opt_out: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'OPT OUT'],
+    opt_in: ['START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN', 'OPT IN']
+};
+
+// Wrappers Baileys nests the real content in
+const WRAPPERS = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'documentWithCaptionMessage', 'editedMessage'];
+
+function unwrap(message) {
+    let m = message;
+    for (let depth = 0; m && depth < 5; depth++) {
+        const wrapper = WRAPPERS.find(w => m[w]?.message);
+        if (!wrapper) break;
+        m = m[wrapper].message;
+    }
+    return m || {};
+}
+
+/**
+ * Content type of a message, e.g. "conversation", "imageMessage" — ignores protocol fields
+ */
+function messageType(message) {
+    const m = unwrap(message);
+    return Object.keys(m).find(k => k !== 'messageContextInfo' && k !== 'senderKeyDistributionMessage') || 'unknown';
+}
+
+/**
+ * Human-readable text of a message: body, caption or the chosen button/list reply
+ */
+function extractText(message) {
+    const m = unwrap(message);
+    return m.conversation
+        || m.extendedTextMessage?.text
+        || m.imageMessage?.caption
+        || m.videoMessage?.caption
+        || m.documentMessage?.caption
+        || m.buttonsResponseMessage?.selectedDisplayText
+        || m.templateButtonReplyMessage?.selectedDisplayText
+        || m.listResponseMessage?.title
+        || null;
+}
+
+/**
+ * 'opt_out', 'opt_in' or null for a message body
+ */
+function matchKeyword(text) {
+    if (!text) return null;
+    const word = String(text).trim().toUpperCase().replace(/^[^A-Z]+|[^A-Z]+$/g, '').replace(/\s+/g, ' ');
+    for (const [action, keywords] of Object.entries(KEYWORD_RULES)) {
+        if (keywords.includes(word)) return action;
+    }
+    return null;
+}
+
+/**
+ * E.164 number of a one-to-one chat JID, or null for groups, broadcasts and status updates
+ */
+function senderPhone(remoteJid) {
+    const match = /^(\d{6,15})(?::\d+)?@s\.whatsapp\.net$/.exec(String(remoteJid || ''));
+    return match ? '+' + match[1] : null;
+}
+
+module.exports = {
+    KEYWORD_RULES,
+    messageType,
+    extractText,
+    matchKeyword,
+    senderPhone
+};
@@ -0,0 +1,235 @@
+/**
+ * media.js — Validation and loading of image, document and audio attachments
+ * Attachments arrive as base64 or as a media:// reference into the caller's own part of the local
+ * store (MEDIA_DIR/<user_id>/); everything is checked for size and MIME type before a send is queued.
+ * Base64 uploads are written to MEDIA_DIR/uploads until their send is done.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const MB = 1024 * 1024;
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || './media');
+const MEDIA_URL_PREFIX = 'media://';
+const UPLOAD_DIR = 'uploads';
+
+const MEDIA_TYPES = {
+    image: {
+        maxBytes: parseInt(process.env.MEDIA_MAX_IMAGE_MB || '5') * MB,
+        mimetypes: ['image/jpeg', 'image/png', 'image/webp']
+    },
+    document: {
+        maxBytes: parseInt(process.env.MEDIA_MAX_DOCUMENT_MB || '16') * MB,
+        mimetypes: [
+            'application/pdf', 'text/plain', 'text/csv', 'application/zip',
+            'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        ]
+    },
+    audio: {
+        maxBytes: parseInt(process.env.MEDIA_MAX_AUDIO_MB || '16') * MB,
+        mimetypes: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr']
+    }
+};
+
+const EXTENSION_MIMETYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp',
+    '.pdf': 'application/pdf', '.txt': 'text/plain', '.csv': 'text/csv', '.zip': 'application/zip',
+    '.doc': 'application/msword', '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel', '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.ogg': 'audio/ogg', '.opus': 'audio/ogg', '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.aac': 'audio/aac', '.amr': 'audio/amr'
+};
+
+// Leading bytes of the formats we can recognise. Office formats are zip containers.
+const SIGNATURES = [
+    { mimetype: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { mimetype: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47] },
+    { mimetype: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: 'WEBP' },
+    { mimetype: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+    { mimetype: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+    { mimetype: 'application/msword', bytes: [0xD0, 0xCF, 0x11, 0xE0] },
+    { mimetype: 'audio/ogg', bytes: [0x4F, 0x67, 0x67, 0x53] },
+    { mimetype: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+    { mimetype: 'audio/mpeg', bytes: [0xFF, 0xFB] },
+    { mimetype: 'audio/amr', bytes: [0x23, 0x21, 0x41, 0x4D, 0x52] }
+];
+const CONTAINER_OF = {
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'application/zip',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'application/zip',
+    'application/vnd.ms-excel': 'application/msword'
+};
+
+/**
+ * MIME type recognised from the first bytes, or null when the format has no signature we know
+ */
+function sniffMimetype(head) {
+    const match = SIGNATURES.find(sig =>
+        sig.bytes.every((b, i) => head[i] === b) && (!sig.at8 || head.subarray(8, 12).toString('latin1') === sig.at8)
+    );
+    return match ? match.mimetype : null;
+}
+
+function contentMatches(declared, head) {
+    const sniffed = sniffMimetype(head);
+    if (!sniffed) return !SIGNATURES.some(sig => sig.mimetype === declared); // plain text, csv, mp4 audio…
+    return sniffed === declared || sniffed === CONTAINER_OF[declared];
+}
+
+/**
+ * Absolute path for a media:// reference, or null if it escapes `root`
+ */
+function resolveLocalPath(url, root = MEDIA_DIR) {
+    if (!String(url).startsWith(MEDIA_URL_PREFIX)) return null;
+    let relative;
+    try { relative = decodeURIComponent(String(url).slice(MEDIA_URL_PREFIX.length)); } catch (e) { return null; }
+    const full = path.resolve(root, relative);
+    return full.startsWith(root + path.sep) ? full : null;
+}
+
+// Each user's files live in MEDIA_DIR/<user_id>/ — a request's media:// reference resolves only there
+function userMediaDir(userId) {
+    const id = parseInt(userId, 10);
+    return Number.isInteger(id) && id > 0 && String(id) === String(userId) ? path.join(MEDIA_DIR, String(id)) : null;
+}
+
+/**
+ * Validate an attachment from a request body.
+ *   { type: 'image' | 'document' | 'audio', base64 | url, mimetype?, filename? }
+ * `url` must be a media:// reference into the user's part of the local store — remote URLs are not fetched.
+ *
+ * @returns {Promise<{ media: object, data: Buffer|null } | { error: string }>}
+ *   media is what gets queued ({ type, mimetype, filename, size, url? }); data is the decoded base64.
+ *   A queued url is relative to MEDIA_DIR, so it already carries the user's directory.
+ */
+async function validateMedia(input, userId) {
+    if (!input || typeof input !== 'object') return { error: 'media must be an object' };
+    const spec = MEDIA_TYPES[input.type];
+    if (!spec) return { error: `media.type must be one of: ${Object.keys(MEDIA_TYPES).join(', ')}` };
+    if (!!input.base64 === !!input.url) return { error: 'media needs exactly one of base64 or url' };
+
+    const filename = input.filename ? path.basename(String(input.filename)).slice(0, 255) : null;
+    const nameForType = filename || (input.url ? String(input.url) : '');
+    const mimetype = String(input.mimetype || EXTENSION_MIMETYPES[path.extname(nameForType).toLowerCase()] || '').toLowerCase();
+    if (!spec.mimetypes.includes(mimetype)) {
+        return { error: `media.mimetype for ${input.type} must be one of: ${spec.mimetypes.join(', ')}` };
+    }
+
+    let size;
+    let head;
+    let data = null;
+    let localUrl = null;
+    if (input.base64) {
+        const raw = String(input.base64).replace(/^data:[^;]+;base64,/, '').replace(/\s/g, '');
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(raw)) return { error: 'media.base64 is not valid base64' };
+        // Size check before decoding anything large
+        size = Math.floor(raw.length * 3 / 4) - (raw.endsWith('==') ? 2 : raw.endsWith('=') ? 1 : 0);
+        if (size > spec.maxBytes) return { error: `${input.type} exceeds ${spec.maxBytes / MB} MB` };
+        data = Buffer.from(raw, 'base64');
+        head = data.subarray(0, 16);
+    } else {
+        const root = userMediaDir(userId);
+        if (!root) return { error: `media.url needs a user — ${MEDIA_URL_PREFIX} references resolve in that user's media store` };
+        const full = resolveLocalPath(input.url, root);
+        if (!full) return { error: `media.url must be a ${MEDIA_URL_PREFIX} reference inside your media store` };
+        let stat;
+        try {
+            stat = await fs.stat(full);
+            // A symlink must not lead out of the user's directory either
+            if (!(await fs.realpath(full)).startsWith(await fs.realpath(root) + path.sep)) {
+                return { error: `media.url must be a ${MEDIA_URL_PREFIX} reference inside your media store` };
+            }
+        } catch (e) {
+            return { error: 'media.url does not exist in the media store' };
+        }
+        if (!stat.isFile()) return { error: 'media.url does not point to a file' };
+        size = stat.size;
+        if (size > spec.maxBytes) return { error: `${input.type} exceeds ${spec.maxBytes / MB} MB` };
+        const handle = await fs.open(full, 'r');
+        try {
+            head = Buffer.alloc(16);
+            await handle.read(head, 0, 16, 0);
+        } finally {
+            await handle.close();
+        }
+        localUrl = MEDIA_URL_PREFIX + path.relative(MEDIA_DIR, full).split(path.sep).map(encodeURIComponent).join('/');
+    }
+
+    if (!size) return { error: 'media is empty' };
+    if (!contentMatches(mimetype, head)) return { error: `media content does not match ${mimetype}` };
+
+    return {
+        media: { type: input.type, mimetype, filename: filename || (localUrl ? path.basename(resolveLocalPath(localUrl)) : null), size, url: localUrl },
+        data
+    };
+}
+
+/**
+ * Bytes of a queued attachment that lives in the local store
+ */
+async function readLocalMedia(media) {
+    const full = resolveLocalPath(media.url);
+    if (!full) throw new Error('media.url is outside the media store');
+    return fs.readFile(full);
+}
+
+function uploadPath(messageId) {
+    return path.join(MEDIA_DIR, UPLOAD_DIR, path.basename(String(messageId)));
+}
+
+/**
+ * Keep a decoded base64 attachment on disk until its send is done
+ *
+ * @returns {Promise<{ url: string, upload: true }>} fields to merge into the queued media
+ */
+async function saveUpload(messageId, data) {
+    await fs.mkdir(path.join(MEDIA_DIR, UPLOAD_DIR), { recursive: true });
+    await fs.writeFile(uploadPath(messageId), data);
+    return { url: `${MEDIA_URL_PREFIX}${UPLOAD_DIR}/${path.basename(String(messageId))}`, upload: true };
+}
+
+async function removeUpload(messageId) {
+    await fs.rm(uploadPath(messageId), { force: true });
+}
+
+/**
+ * Delete uploads older than maxAgeMs — left behind when a request failed after saving one
+ */
+async function purgeStaleUploads(maxAgeMs) {
+    let names;
+    try {
+        names = await fs.readdir(path.join(MEDIA_DIR, UPLOAD_DIR));
+    } catch (e) {
+        if (e.code === 'ENOENT') return 0;
+        throw e;
+    }
+    let removed = 0;
+    for (const name of names) {
+        const stat = await fs.stat(uploadPath(name)).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > maxAgeMs) {
+            await removeUpload(name);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Baileys sendMessage content. Images and documents carry the text as caption; audio can't.
+ */
+function toMessageContent(media, data, caption = null) {
+    if (media.type === 'image') return { image: data, mimetype: media.mimetype, caption: caption || undefined };
+    if (media.type === 'audio') return { audio: data, mimetype: media.mimetype, ptt: false };
+    return { document: data, mimetype: media.mimetype, fileName: media.filename || 'document', caption: caption || undefined };
+}
+
+module.exports = {
+    MEDIA_TYPES,
+    MEDIA_URL_PREFIX,
+    sniffMimetype,
+    validateMedia,
+    readLocalMedia,
+    saveUpload,
+    removeUpload,
+    purgeStaleUploads,
+    toMessageContent
+};
@@ -0,0 +1,116 @@
+/**
+ * otp.js — OTP code generation, hashing and message template rendering
+ * The code placed in the message is the exact code whose hash is stored in otp_logs
+ */
+
+const crypto = require('crypto');
+
+const NUMERIC = '0123456789';
+// No 0/O, 1/I/L — recipients type these codes by hand
+const ALPHANUMERIC = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+const DEFAULTS = {
+    length: 6,
+    type: 'numeric',
+    ttlSeconds: 300,
+    appName: process.env.APP_NAME || 'OTPFlow',
+    template: 'Your {{app_name}} verification code is {{code}}. It expires in {{expires_in}}.'
+};
+
+const LIMITS = {
+    minLength: 4,
+    maxLength: 10,
+    minTtl: 30,
+    maxTtl: 3600
+};
+
+/**
+ * Generate a random OTP code using a CSPRNG
+ */
+function generateOtp(length = DEFAULTS.length, type = DEFAULTS.type) {
+    const alphabet = type === 'alphanumeric' ? ALPHANUMERIC : NUMERIC;
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    return code;
+}
+
+/**
+ * Hash a code for storage — case-insensitive so alphanumeric codes verify however they are typed
+ */
+function hashOtp(code) {
+    return crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+}
+
+/**
+ * Human readable TTL for the {{expires_in}} placeholder
+ */
+function formatTtl(ttlSeconds) {
+    if (ttlSeconds % 60 === 0) {
+        const minutes = ttlSeconds / 60;
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    return `${ttlSeconds} seconds`;
+}
+
+/**
+ * Replace {{placeholder}} tokens — unknown placeholders are left untouched
+ */
+function renderTemplate(template, vars) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : match
+    );
+}
+
+function hasCodePlaceholder(template) {
+    return /\{\{\s*code\s*\}\}/.test(template);
+}
+
+/**
+ * Resolve OTP settings — request values win over API key values, which win over defaults.
+ * Returns { error } when a value is out of range.
+ */
+function resolveOtpOptions(body = {}, keyData = {}) {
+    const pick = (...values) => values.find(v => v !== undefined && v !== null && v !== '');
+
+    const length = parseInt(pick(body.code_length, keyData.otp_length, DEFAULTS.length), 10);
+    const type = pick(body.code_type, keyData.otp_type, DEFAULTS.type);
+    const ttlSeconds = parseInt(pick(body.ttl_seconds, keyData.otp_ttl_seconds, DEFAULTS.ttlSeconds), 10);
+    const appName = pick(body.app_name, keyData.app_name, DEFAULTS.appName);
+
+    if (!Number.isInteger(length) || length < LIMITS.minLength || length > LIMITS.maxLength) {
+        return { error: `code_length must be between ${LIMITS.minLength} and ${LIMITS.maxLength}` };
+    }
+    if (!['numeric', 'alphanumeric'].includes(type)) {
+        return { error: "code_type must be 'numeric' or 'alphanumeric'" };
+    }
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < LIMITS.minTtl || ttlSeconds > LIMITS.maxTtl) {
+        return { error: `ttl_seconds must be between ${LIMITS.minTtl} and ${LIMITS.maxTtl}` };
+    }
+    return { length, type, ttlSeconds, appName };
+}
+
+/**
+ * Generate a code and render it into the template
+ */
+function buildOtpMessage(template, options) {
+    const code = generateOtp(options.length, options.type);
+    const text = renderTemplate(template || DEFAULTS.template, {
+        code,
+        expires_in: formatTtl(options.ttlSeconds),
+        app_name: options.appName
+    });
+    return { code, hashedOtp: hashOtp(code), text };
+}
+
+module.exports = {
+    DEFAULTS,
+    generateOtp,
+    hashOtp,
+    formatTtl,
+    renderTemplate,
+    hasCodePlaceholder,
+    resolveOtpOptions,
+    buildOtpMessage
+};
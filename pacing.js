@@ -0,0 +1,104 @@
+/**
+ * pacing.js — Anti-ban send pacing per WhatsApp instance
+ * Minimum spacing with random jitter, per-minute/per-hour caps, and a warm-up ramp for new numbers
+ */
+
+const DEFAULTS = {
+    minIntervalMs: parseInt(process.env.PACING_MIN_INTERVAL_MS || '3000'),
+    jitterMs: parseInt(process.env.PACING_JITTER_MS || '2000'),
+    maxPerMinute: parseInt(process.env.PACING_MAX_PER_MINUTE || '10'),
+    maxPerHour: parseInt(process.env.PACING_MAX_PER_HOUR || '200'),
+    warmupDays: parseInt(process.env.WARMUP_DAYS || '7'),
+    warmupStartLimit: parseInt(process.env.WARMUP_START_LIMIT || '10'),
+    typingPresence: process.env.TYPING_PRESENCE === 'true'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Pacing config for an instance row — NULL columns fall back to DEFAULTS
+ */
+function resolvePacingConfig(row = {}) {
+    const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+    return {
+        minIntervalMs: pick(row.min_send_interval_ms, DEFAULTS.minIntervalMs),
+        jitterMs: pick(row.send_jitter_ms, DEFAULTS.jitterMs),
+        maxPerMinute: pick(row.max_per_minute, DEFAULTS.maxPerMinute),
+        maxPerHour: pick(row.max_per_hour, DEFAULTS.maxPerHour),
+        warmupDays: pick(row.warmup_days, DEFAULTS.warmupDays),
+        typingPresence: !!pick(row.typing_presence, DEFAULTS.typingPresence)
+    };
+}
+
+/**
+ * Daily limit after warm-up: a newly linked number starts at warmupStartLimit and
+ * climbs linearly to daily_message_limit over warmupDays
+ */
+function effectiveDailyLimit(row, now = Date.now()) {
+    const limit = row.daily_message_limit;
+    const warmupDays = row.warmup_days === undefined || row.warmup_days === null ? DEFAULTS.warmupDays : row.warmup_days;
+    if (!row.linked_at || !warmupDays) return limit;
+
+    const ageDays = (now - new Date(row.linked_at).getTime()) / DAY_MS;
+    if (ageDays >= warmupDays) return limit;
+
+    const start = Math.min(DEFAULTS.warmupStartLimit, limit);
+    return Math.floor(start + (limit - start) * Math.max(ageDays, 0) / warmupDays);
+}
+
+/**
+ * In-process send history per instance. Sends for one instance are serialized by the
+ * caller, so reserve() -> wait -> record() never races with itself.
+ */
+function createPacer() {
+    const history = new Map(); // instanceId -> [sentAt, ...] (last hour)
+
+    function recent(instanceId, now) {
+        const sends = (history.get(instanceId) || []).filter(t => now - t < HOUR_MS);
+        history.set(instanceId, sends);
+        return sends;
+    }
+
+    return {
+        /**
+         * When may the next message go out?
+         * @returns {{ allowed: boolean, waitMs: number, reason?: string }}
+         */
+        reserve(instanceId, config, now = Date.now(), random = Math.random) {
+            const sends = recent(instanceId, now);
+            if (sends.length >= config.maxPerHour) {
+                return { allowed: false, waitMs: sends[0] + HOUR_MS - now, reason: `hourly cap of ${config.maxPerHour} reached` };
+            }
+            const lastMinute = sends.filter(t => now - t < MINUTE_MS);
+            if (lastMinute.length >= config.maxPerMinute) {
+                return { allowed: false, waitMs: lastMinute[0] + MINUTE_MS - now, reason: `per-minute cap of ${config.maxPerMinute} reached` };
+            }
+            const last = sends[sends.length - 1];
+            const jitter = Math.floor(random() * (config.jitterMs + 1));
+            const nextAt = last ? last + config.minIntervalMs + jitter : now;
+            return { allowed: true, waitMs: Math.max(0, nextAt - now) };
+        },
+        record(instanceId, at = Date.now()) {
+            const sends = history.get(instanceId) || [];
+            sends.push(at);
+            history.set(instanceId, sends);
+        }
+    };
+}
+
+/**
+ * How long to show "typing…" for a message — roughly reading speed, capped
+ */
+function typingDurationMs(text, random = Math.random) {
+    return Math.min(1000 + String(text || '').length * 30, 4000) + Math.floor(random() * 500);
+}
+
+module.exports = {
+    DEFAULTS,
+    resolvePacingConfig,
+    effectiveDailyLimit,
+    createPacer,
+    typingDurationMs
+};
@@ -0,0 +1,155 @@
+/**
+ * phone.js — Phone number normalization to E.164
+ * Every send, verify and JID lookup goes through normalizePhone() so numbers compare exactly
+ */
+
+// National significant number lengths for the calling codes we see most.
+// Codes not listed here only get the generic E.164 bounds (8–15 digits in total).
+const NATIONAL_LENGTHS = {
+    '1': [10],            // US / Canada / NANP
+    '7': [10],            // Russia / Kazakhstan
+    '20': [9, 10],        // Egypt
+    '27': [9],            // South Africa
+    '33': [9],            // France
+    '34': [9],            // Spain
+    '39': [9, 10, 11],    // Italy
+    '44': [10],           // United Kingdom
+    '49': [10, 11],       // Germany
+    '52': [10],           // Mexico
+    '55': [10, 11],       // Brazil
+    '60': [9, 10],        // Malaysia
+    '61': [9],            // Australia
+    '62': [9, 10, 11, 12],// Indonesia
+    '63': [10],           // Philippines
+    '65': [8],            // Singapore
+    '66': [9],            // Thailand
+    '81': [10],           // Japan
+    '82': [9, 10],        // South Korea
+    '84': [9, 10],        // Vietnam
+    '86': [11],           // China
+    '90': [10],           // Turkey
+    '91': [10],           // India
+    '92': [10],           // Pakistan
+    '94': [9],            // Sri Lanka
+    '234': [10],          // Nigeria
+    '254': [9],           // Kenya
+    '880': [10],          // Bangladesh
+    '966': [9],           // Saudi Arabia
+    '971': [9],           // United Arab Emirates
+    '977': [10]           // Nepal
+};
+
+// Local timezone assumed for a calling code, used for quiet hours. Countries spanning several
+// zones get their most populous one — callers that know better pass a timezone explicitly.
+const CALLING_CODE_TIMEZONES = {
+    '1': 'America/New_York',
+    '7': 'Europe/Moscow',
+    '20': 'Africa/Cairo',
+    '27': 'Africa/Johannesburg',
+    '33': 'Europe/Paris',
+    '34': 'Europe/Madrid',
+    '39': 'Europe/Rome',
+    '44': 'Europe/London',
+    '49': 'Europe/Berlin',
+    '52': 'America/Mexico_City',
+    '55': 'America/Sao_Paulo',
+    '60': 'Asia/Kuala_Lumpur',
+    '61': 'Australia/Sydney',
+    '62': 'Asia/Jakarta',
+    '63': 'Asia/Manila',
+    '65': 'Asia/Singapore',
+    '66': 'Asia/Bangkok',
+    '81': 'Asia/Tokyo',
+    '82': 'Asia/Seoul',
+    '84': 'Asia/Ho_Chi_Minh',
+    '86': 'Asia/Shanghai',
+    '90': 'Europe/Istanbul',
+    '91': 'Asia/Kolkata',
+    '92': 'Asia/Karachi',
+    '94': 'Asia/Colombo',
+    '234': 'Africa/Lagos',
+    '254': 'Africa/Nairobi',
+    '880': 'Asia/Dhaka',
+    '966': 'Asia/Riyadh',
+    '971': 'Asia/Dubai',
+    '977': 'Asia/Kathmandu'
+};
+
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+/**
+ * Longest known calling code at the start of an international digit string
+ */
+function detectCallingCode(digits) {
+    for (let len = 3; len >= 1; len--) {
+        const code = digits.slice(0, len);
+        if (NATIONAL_LENGTHS[code]) return code;
+    }
+    return null;
+}
+
+function isValidInternational(digits) {
+    if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS || digits[0] === '0') return false;
+    const code = detectCallingCode(digits);
+    if (!code) return true;
+    return NATIONAL_LENGTHS[code].includes(digits.length - code.length);
+}
+
+/**
+ * Normalize user input to E.164.
+ * - "+91 98765-43210" and "0091 9876543210" are already international
+ * - anything else is national: the trunk 0 is dropped and defaultPrefix (e.g. "+91" from
+ *   users.default_prefix) is prepended, unless the digits already start with that prefix
+ *   and have the right length for it
+ *
+ * @param {string} input - Raw phone number
+ * @param {string|null} defaultPrefix - Calling code to assume for national numbers
+ * @returns {{ e164: string, digits: string, callingCode: string|null } | { error: string }}
+ */
+function normalizePhone(input, defaultPrefix = null) {
+    if (input === undefined || input === null || input === '') return { error: 'phone is required' };
+    const raw = String(input).trim();
+    if (/[^\d\s()+.\-]/.test(raw)) return { error: 'phone contains invalid characters' };
+
+    let digits = raw.replace(/\D/g, '');
+    const prefix = String(defaultPrefix || '').replace(/\D/g, '');
+
+    if (raw.startsWith('+')) {
+        // already international
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (prefix) {
+        const alreadyPrefixed = digits.startsWith(prefix) && isValidInternational(digits);
+        if (!alreadyPrefixed) digits = prefix + digits.replace(/^0+/, '');
+    }
+
+    if (!isValidInternational(digits)) {
+        return { error: `phone number ${raw} has an impossible length or prefix` };
+    }
+    return { e164: '+' + digits, digits, callingCode: detectCallingCode(digits) };
+}
+
+/**
+ * WhatsApp JID for a normalized number
+ */
+function toJid(e164) {
+    return String(e164).replace(/\D/g, '') + '@s.whatsapp.net';
+}
+
+/**
+ * IANA timezone for an E.164 number's calling code, or null when the code isn't mapped
+ */
+function timeZoneForPhone(phone) {
+    const code = detectCallingCode(String(phone || '').replace(/\D/g, ''));
+    return code ? CALLING_CODE_TIMEZONES[code] || null : null;
+}
+
+module.exports = {
+    NATIONAL_LENGTHS,
+    CALLING_CODE_TIMEZONES,
+    normalizePhone,
+    detectCallingCode,
+    timeZoneForPhone,
+    toJid
+};
@@ -0,0 +1,104 @@
+/**
+ * rateLimiter.js — Token-bucket rate limiting with in-memory or Redis-backed counters
+ * Memory is per-process; Redis shares the buckets between Render pods
+ */
+
+// Atomic refill + take. Tokens are returned as a string because Lua numbers are truncated to integers in replies.
+const TOKEN_BUCKET_LUA = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= cost then
+    tokens = tokens - cost
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+const MEMORY_STORE_MAX_KEYS = 100000;
+
+/**
+ * Refill a bucket to `now` and try to take `cost` tokens (mutates the bucket)
+ */
+function takeFromBucket(bucket, capacity, ratePerMs, now, cost = 1) {
+    bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.ts) * ratePerMs);
+    bucket.ts = now;
+    if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
+        return true;
+    }
+    return false;
+}
+
+function createMemoryStore() {
+    const buckets = new Map();
+    return {
+        async take(key, capacity, ratePerMs, now, cost) {
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                // Drop the oldest bucket rather than grow without bound
+                if (buckets.size >= MEMORY_STORE_MAX_KEYS) buckets.delete(buckets.keys().next().value);
+                bucket = { tokens: capacity, ts: now };
+                buckets.set(key, bucket);
+            }
+            const allowed = takeFromBucket(bucket, capacity, ratePerMs, now, cost);
+            return { allowed, tokens: bucket.tokens };
+        }
+    };
+}
+
+function createRedisStore(redis, prefix = 'otpflow:ratelimit:') {
+    if (!redis.tokenBucket) redis.defineCommand('tokenBucket', { numberOfKeys: 1, lua: TOKEN_BUCKET_LUA });
+    return {
+        async take(key, capacity, ratePerMs, now, cost) {
+            const [allowed, tokens] = await redis.tokenBucket(prefix + key, capacity, ratePerMs, now, cost);
+            return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+        }
+    };
+}
+
+/**
+ * Take one token from the bucket for `key`.
+ *
+ * @param {object} store - createMemoryStore() or createRedisStore()
+ * @param {string} key - Bucket key, e.g. "key:42"
+ * @param {{ limit: number, windowSeconds: number }} rule - `limit` requests per `windowSeconds`, bursting up to `limit`
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfterSeconds: number }>}
+ */
+async function consume(store, key, rule, now = Date.now(), cost = 1) {
+    const ratePerMs = rule.limit / (rule.windowSeconds * 1000);
+    const { allowed, tokens } = await store.take(key, rule.limit, ratePerMs, now, cost);
+    return {
+        allowed,
+        limit: rule.limit,
+        remaining: Math.max(0, Math.floor(tokens)),
+        resetSeconds: Math.ceil((rule.limit - tokens) / ratePerMs / 1000),
+        retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((cost - tokens) / ratePerMs / 1000))
+    };
+}
+
+/**
+ * Standard RateLimit-* headers (IETF draft) plus Retry-After when refused
+ */
+function setRateLimitHeaders(res, result) {
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(result.resetSeconds));
+    if (!result.allowed) res.set('Retry-After', String(result.retryAfterSeconds));
+}
+
+module.exports = {
+    takeFromBucket,
+    createMemoryStore,
+    createRedisStore,
+    consume,
+    setRateLimitHeaders
+};
@@ -0,0 +1,89 @@
+/**
+ * richMessages.js — Interactive OTP payloads: copy-code / URL buttons, brand footer, image header
+ * Builds the plain-object interactiveMessage that Baileys turns into a nativeFlow message
+ */
+
+const { MEDIA_URL_PREFIX } = require('./media');
+
+const BUTTON_TYPES = ['copy_code', 'url'];
+const MAX_BUTTON_TEXT = 20;
+const MAX_FOOTER = 60;
+
+function isHttpsUrl(value) {
+    try {
+        return new URL(value).protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Rich options from an /api/send body. Any of `button`, `footer` or `header_image` turns them on;
+ * the footer then defaults to the key's app name. header_image is a media:// reference — the caller
+ * still has to check it with media.validateMedia; remote URLs are not fetched.
+ *
+ * @returns {{ rich: object|null } | { error: string }}
+ */
+function parseRichOptions(body = {}, defaults = {}) {
+    const { button, button_text: buttonText, button_url: buttonUrl, footer, header_image: headerImage } = body;
+    if (button === undefined && footer === undefined && headerImage === undefined) return { rich: null };
+
+    const rich = { button: null, footer: null, headerImage: null };
+    if (button !== undefined && button !== null) {
+        if (!BUTTON_TYPES.includes(button)) return { error: `button must be one of: ${BUTTON_TYPES.join(', ')}` };
+        if (buttonText !== undefined && (typeof buttonText !== 'string' || !buttonText.trim() || buttonText.length > MAX_BUTTON_TEXT)) {
+            return { error: `button_text must be 1-${MAX_BUTTON_TEXT} characters` };
+        }
+        // The URL may carry the code, e.g. https://example.com/verify?code={{code}}
+        if (button === 'url' && !isHttpsUrl(String(buttonUrl || '').replace(/\{\{\s*code\s*\}\}/g, 'x'))) {
+            return { error: 'button_url must be an https URL for the url button' };
+        }
+        rich.button = {
+            type: button,
+            text: buttonText ? buttonText.trim() : (button === 'copy_code' ? 'Copy code' : 'Verify'),
+            url: button === 'url' ? buttonUrl : null
+        };
+    }
+
+    const footerText = footer === undefined ? defaults.appName : footer;
+    if (footerText !== undefined && footerText !== null && footerText !== '') {
+        if (typeof footerText !== 'string' || footerText.length > MAX_FOOTER) return { error: `footer must be at most ${MAX_FOOTER} characters` };
+        rich.footer = footerText;
+    }
+
+    if (headerImage !== undefined && headerImage !== null) {
+        if (typeof headerImage !== 'string' || !headerImage.startsWith(MEDIA_URL_PREFIX)) {
+            return { error: `header_image must be a ${MEDIA_URL_PREFIX} reference into your media store` };
+        }
+        rich.headerImage = headerImage;
+    }
+    return { rich };
+}
+
+/**
+ * interactiveMessage content for one send. `code` fills the copy button and {{code}} in the URL;
+ * imageMessage is the uploaded header (from prepareWAMessageMedia) or null.
+ */
+function buildInteractiveMessage({ text, code, rich, imageMessage = null }) {
+    const buttons = [];
+    if (rich.button?.type === 'copy_code') {
+        buttons.push({ name: 'cta_copy', buttonParamsJson: JSON.stringify({ display_text: rich.button.text, copy_code: code }) });
+    } else if (rich.button?.type === 'url') {
+        const url = rich.button.url.replace(/\{\{\s*code\s*\}\}/g, encodeURIComponent(code));
+        buttons.push({ name: 'cta_url', buttonParamsJson: JSON.stringify({ display_text: rich.button.text, url, merchant_url: url }) });
+    }
+
+    const message = {
+        body: { text },
+        nativeFlowMessage: { buttons, messageParamsJson: '' }
+    };
+    if (rich.footer) message.footer = { text: rich.footer };
+    if (imageMessage) message.header = { title: '', hasMediaAttachment: true, imageMessage };
+    return message;
+}
+
+module.exports = {
+    BUTTON_TYPES,
+    parseRichOptions,
+    buildInteractiveMessage
+};
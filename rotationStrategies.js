@@ -0,0 +1,147 @@
+/**
+ * rotationStrategies.js — Instance selection strategies for the rotation engine
+ * Each strategy only orders the candidate list; the caller tries instances in that order
+ */
+
+const STRATEGIES = ['round_robin', 'least_used', 'weighted', 'health'];
+const DEFAULT_STRATEGY = 'round_robin';
+
+// Health tracking windows
+const HEALTH_WINDOW_MS = 60 * 60 * 1000;
+const HEALTH_MAX_SAMPLES = 50;
+const LATENCY_CEILING_MS = 10000;
+const RECONNECT_CEILING = 5;
+
+/**
+ * Deterministic PRNG (mulberry32) — pass one in to make weighted selection repeatable
+ */
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function remainingCapacity(inst) {
+    return Math.max(0, (inst.daily_message_limit || 0) - (inst.messages_sent_today || 0));
+}
+
+function byUsage(a, b) {
+    return (a.messages_sent_today - b.messages_sent_today) || ((a.priority || 0) - (b.priority || 0));
+}
+
+/**
+ * Rolling per-instance stats: send outcomes with latency, and reconnect times
+ */
+function createHealthTracker() {
+    const stats = new Map(); // instanceId -> { sends: [{ ok, latencyMs, at }], reconnects: [at] }
+
+    function entry(instanceId) {
+        if (!stats.has(instanceId)) stats.set(instanceId, { sends: [], reconnects: [] });
+        return stats.get(instanceId);
+    }
+
+    return {
+        recordSend(instanceId, ok, latencyMs, now = Date.now()) {
+            const e = entry(instanceId);
+            e.sends.push({ ok, latencyMs, at: now });
+            if (e.sends.length > HEALTH_MAX_SAMPLES) e.sends.shift();
+        },
+        recordReconnect(instanceId, now = Date.now()) {
+            const e = entry(instanceId);
+            e.reconnects.push(now);
+            e.reconnects = e.reconnects.filter(t => now - t < HEALTH_WINDOW_MS);
+        },
+        /**
+         * 0..1, higher is healthier: 60% recent success rate, 25% latency, 15% reconnect frequency.
+         * Instances without history score 1 so new numbers still get traffic.
+         */
+        score(instanceId, now = Date.now()) {
+            const e = stats.get(instanceId);
+            if (!e) return 1;
+            const sends = e.sends.filter(s => now - s.at < HEALTH_WINDOW_MS);
+            const failureRate = sends.length ? sends.filter(s => !s.ok).length / sends.length : 0;
+            const okLatencies = sends.filter(s => s.ok).map(s => s.latencyMs);
+            const avgLatency = okLatencies.length ? okLatencies.reduce((a, b) => a + b, 0) / okLatencies.length : 0;
+            const reconnects = e.reconnects.filter(t => now - t < HEALTH_WINDOW_MS).length;
+            const score = 1
+                - 0.60 * failureRate
+                - 0.25 * Math.min(avgLatency / LATENCY_CEILING_MS, 1)
+                - 0.15 * Math.min(reconnects / RECONNECT_CEILING, 1);
+            return Math.round(score * 1000) / 1000;
+        },
+        snapshot(instanceId, now = Date.now()) {
+            const e = stats.get(instanceId);
+            const sends = e ? e.sends.filter(s => now - s.at < HEALTH_WINDOW_MS) : [];
+            return {
+                score: this.score(instanceId, now),
+                recent_sends: sends.length,
+                recent_failures: sends.filter(s => !s.ok).length,
+                recent_reconnects: e ? e.reconnects.filter(t => now - t < HEALTH_WINDOW_MS).length : 0
+            };
+        }
+    };
+}
+
+/**
+ * Order candidate instances for one send.
+ *
+ * @param {string} strategy - One of STRATEGIES (unknown values fall back to round_robin)
+ * @param {Array} instances - Rows from getAvailableInstances()
+ * @param {object} ctx - { cursor: number, health: healthTracker, random: () => number }
+ * @returns {Array} The same instances in the order they should be tried
+ */
+function orderInstances(strategy, instances, ctx = {}) {
+    const list = [...instances];
+    const random = ctx.random || Math.random;
+
+    switch (strategy) {
+        case 'least_used':
+            return list.sort(byUsage);
+
+        case 'weighted': {
+            // Weighted draw without replacement — more remaining capacity, more likely to go first
+            const ordered = [];
+            while (list.length) {
+                const total = list.reduce((sum, inst) => sum + remainingCapacity(inst), 0);
+                let idx = 0;
+                if (total > 0) {
+                    let r = random() * total;
+                    idx = list.findIndex(inst => (r -= remainingCapacity(inst)) < 0);
+                    if (idx === -1) idx = list.length - 1;
+                }
+                ordered.push(list.splice(idx, 1)[0]);
+            }
+            return ordered;
+        }
+
+        case 'health': {
+            const health = ctx.health;
+            const scores = new Map(list.map(inst => [inst.instance_id, health ? health.score(inst.instance_id) : 1]));
+            return list.sort((a, b) => (scores.get(b.instance_id) - scores.get(a.instance_id)) || byUsage(a, b));
+        }
+
+        case 'round_robin':
+        default: {
+            const start = list.length ? (ctx.cursor || 0) % list.length : 0;
+            return [...list.slice(start), ...list.slice(0, start)];
+        }
+    }
+}
+
+function normalizeStrategy(strategy) {
+    return STRATEGIES.includes(strategy) ? strategy : DEFAULT_STRATEGY;
+}
+
+module.exports = {
+    STRATEGIES,
+    DEFAULT_STRATEGY,
+    createSeededRandom,
+    createHealthTracker,
+    orderInstances,
+    normalizeStrategy
+};
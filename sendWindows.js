@@ -0,0 +1,111 @@
+/**
+ * sendWindows.js — Daily send windows in a given IANA timezone
+ * A window is "HH:MM"–"HH:MM" local time and may wrap past midnight (e.g. 21:00–07:00)
+ */
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function parseClock(value) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Minutes since local midnight at `date` in `timeZone`
+ */
+function localMinutes(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    return get('hour') * 60 + get('minute');
+}
+
+/**
+ * Calendar date and wall-clock time at `date` in `timeZone`
+ */
+function wallClock(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+// How far `timeZone` is ahead of UTC at the instant `ms`, in ms
+function offsetAt(ms, timeZone) {
+    const c = wallClock(new Date(ms), timeZone);
+    return Date.UTC(c.year, c.month - 1, c.day, c.hour, c.minute, c.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The UTC instant at which the clock in `timeZone` reads `minutes` past midnight on the given day.
+ * A time repeated when clocks go back resolves to its first occurrence; one skipped when they go
+ * forward resolves to just after the jump.
+ */
+function zonedTime({ year, month, day }, minutes, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, 0, minutes);
+    // Offsets either side of the target — they differ only when a DST change falls in between
+    const candidates = [...new Set([offsetAt(asUtc - 12 * 3600 * 1000, timeZone), offsetAt(asUtc + 12 * 3600 * 1000, timeZone)])]
+        .map(offset => asUtc - offset);
+    const exact = candidates.filter(ms => {
+        const c = wallClock(new Date(ms), timeZone);
+        return c.year === year && c.month === month && c.day === day && c.hour * 60 + c.minute === minutes;
+    });
+    return new Date(exact.length ? Math.min(...exact) : Math.max(...candidates));
+}
+
+/**
+ * Validate { start: "HH:MM", end: "HH:MM", timezone } from a request
+ *
+ * @returns {{ window: { startMinutes: number, endMinutes: number, timeZone: string } } | { error: string }}
+ */
+function parseWindow(input, defaultTimeZone = 'UTC') {
+    if (!input || typeof input !== 'object') return { error: 'window must be an object with start and end' };
+    const startMinutes = parseClock(input.start);
+    const endMinutes = parseClock(input.end);
+    if (startMinutes === null || endMinutes === null) return { error: 'window start and end must be HH:MM (24-hour)' };
+    if (startMinutes === endMinutes) return { error: 'window start and end must differ' };
+    const timeZone = input.timezone || defaultTimeZone;
+    if (!isValidTimeZone(timeZone)) return { error: `unknown timezone '${timeZone}'` };
+    return { window: { startMinutes, endMinutes, timeZone } };
+}
+
+function isWithinWindow(window, date = new Date()) {
+    const now = localMinutes(date, window.timeZone);
+    return window.startMinutes < window.endMinutes
+        ? now >= window.startMinutes && now < window.endMinutes
+        : now >= window.startMinutes || now < window.endMinutes;
+}
+
+/**
+ * The next moment the window opens — `date` itself when it is already open. The opening is found
+ * as a wall-clock time in the window's timezone, so it stays right across DST changes.
+ */
+function nextWindowStart(window, date = new Date()) {
+    if (isWithinWindow(window, date)) return date;
+    const today = wallClock(date, window.timeZone);
+    const next = zonedTime(today, window.startMinutes, window.timeZone);
+    if (next > date) return next;
+    const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+    return zonedTime({ year: tomorrow.getUTCFullYear(), month: tomorrow.getUTCMonth() + 1, day: tomorrow.getUTCDate() }, window.startMinutes, window.timeZone);
+}
+
+module.exports = {
+    isValidTimeZone,
+    parseClock,
+    formatClock,
+    localMinutes,
+    parseWindow,
+    isWithinWindow,
+    nextWindowStart
+};
@@ -8,14 +8,42 @@ const express = require('express');
 const mysql = require('mysql2/promise');
 const QRCode = require('qrcode');
 const pino = require('pino');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const IORedis = require('ioredis');
+const { Queue, Worker, DelayedError } = require('bullmq');
+const otp = require('./otp');
+const webhooks = require('./webhooks');
+const { normalizePhone, toJid, timeZoneForPhone } = require('./phone');
+const rateLimiter = require('./rateLimiter');
+const serviceAuth = require('./serviceAuth');
+const rotation = require('./rotationStrategies');
+const pacing = require('./pacing');
+const channels = require('./channels');
+const inbound = require('./inbound');
+const richMessages = require('./richMessages');
+const mediaStore = require('./media');
+const sendWindows = require('./sendWindows');
 
 const app = express();
-app.use(express.json());
-// CORS — allow browser requests from InfinityFree website
+// Only the send routes take base64 attachments (see media.js for the per-type limits); everything else keeps the default limit
+const LARGE_BODY_ROUTES = new Set(['/send', '/api/send']);
+const largeJsonBody = express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' });
+const jsonBody = express.json();
+app.use((req, res, next) => (LARGE_BODY_ROUTES.has(req.path) ? largeJsonBody : jsonBody)(req, res, next));
+// Render terminates TLS in front of us — take the client IP from X-Forwarded-For
+app.set('trust proxy', 1);
+// CORS — allow browser requests from the InfinityFree website (CORS_ORIGINS narrows it, comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(o => o.trim()).filter(Boolean);
 app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (CORS_ORIGINS.includes('*')) {
+        res.header('Access-Control-Allow-Origin', '*');
+    } else if (CORS_ORIGINS.includes(req.headers.origin)) {
+        res.header('Access-Control-Allow-Origin', req.headers.origin);
+        res.header('Vary', 'Origin');
+    }
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-User-Id, Idempotency-Key');
     if (req.method === 'OPTIONS') return res.sendStatus(200);
     next();
 });
@@ -23,7 +51,7 @@ const PORT = process.env.PORT || 3000;
 const logger = pino({ level: process.env.LOG_LEVEL || 'warn' });
 
 // Will hold Baileys exports after dynamic import
-let makeWASocket, DisconnectReason, fetchLatestBaileysVersion, initAuthCreds, BufferJSON;
+let makeWASocket, DisconnectReason, fetchLatestBaileysVersion, initAuthCreds, BufferJSON, generateWAMessageFromContent, prepareWAMessageMedia;
 
 // Cache Baileys version so we don't fetch it on every reconnect (external network call)
 let cachedBaileysVersion = null;
@@ -34,6 +62,16 @@ const POD_ID = process.env.RENDER_INSTANCE_ID || require('os').hostname();
 // Active sessions: instanceId -> { socket, qr, status, phoneNumber }
 const sessions = new Map();
 
+// Live session updates, emitted under the instanceId: { type: 'status' | 'qr' | 'pairing_code', ... }.
+// Feeds the /events/:instanceId streams and waitForQr.
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+
+function setSessionStatus(instanceId, session, status, extra = {}) {
+    session.status = status;
+    sessionEvents.emit(instanceId, { type: 'status', status, phone_number: session.phoneNumber || null, ...extra });
+}
+
 // Round-Robin Trackers
 const personalRoundRobinIndex = new Map(); // userId -> currentIndex
 let sharedRoundRobinIndex = 0;
@@ -80,6 +118,281 @@ async function initDatabase() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`);
     console.log('[DB] whatsapp_instances table ready');
+
+    await db.execute(`CREATE TABLE IF NOT EXISTS message_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        locale VARCHAR(10) NOT NULL,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_template_variant (user_id, name, locale)
+    )`);
+    // 'otp' templates carry {{code}}; 'message' templates are plain text for campaigns
+    await addColumnIfMissing('message_templates', 'kind', "ENUM('otp','message') NOT NULL DEFAULT 'otp'");
+    console.log('[DB] message_templates table ready');
+
+    await db.execute(`CREATE TABLE IF NOT EXISTS messages (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        message_id CHAR(36) NOT NULL UNIQUE,
+        user_id INT DEFAULT NULL,
+        api_key_id INT DEFAULT NULL,
+        otp_log_id INT DEFAULT NULL,
+        routing_type ENUM('personal','shared','instance') NOT NULL,
+        instance_id VARCHAR(255) DEFAULT NULL,
+        phone_number VARCHAR(50) NOT NULL,
+        body TEXT DEFAULT NULL,
+        status ENUM('queued','sending','retrying','sent','failed') DEFAULT 'queued',
+        attempts INT DEFAULT 0,
+        last_error VARCHAR(500) DEFAULT NULL,
+        wallet_charge DECIMAL(10,2) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP NULL DEFAULT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_messages_user (user_id, created_at)
+    )`);
+    console.log('[DB] messages table ready');
+
+    // Delivery receipts
+    await addColumnIfMissing('messages', 'wa_message_id', 'VARCHAR(128) DEFAULT NULL, ADD INDEX idx_messages_wa (wa_message_id)');
+    await addColumnIfMissing('messages', 'delivered_at', 'TIMESTAMP NULL DEFAULT NULL');
+    await addColumnIfMissing('messages', 'read_at', 'TIMESTAMP NULL DEFAULT NULL');
+    await addColumnIfMissing('messages', 'failed_at', 'TIMESTAMP NULL DEFAULT NULL');
+    // New members only ever go at the end, so MySQL can change the ENUM in place
+    await db.execute(`ALTER TABLE messages MODIFY status ENUM('queued','sending','retrying','sent','delivered','read','failed','scheduled','cancelled') DEFAULT 'queued'`);
+
+    // Scheduled sends wait as BullMQ delayed jobs; schedule_payload lets startup rebuild a job Redis lost
+    await addColumnIfMissing('messages', 'send_at', 'TIMESTAMP NULL DEFAULT NULL, ADD INDEX idx_messages_scheduled (status, send_at)');
+    await addColumnIfMissing('messages', 'schedule_payload', 'JSON DEFAULT NULL');
+
+    await db.execute(`CREATE TABLE IF NOT EXISTS webhooks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        api_key_id INT DEFAULT NULL,
+        url VARCHAR(500) NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        events JSON DEFAULT NULL,
+        is_active TINYINT(1) DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_webhooks_user (user_id)
+    )`);
+    await db.execute(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        delivery_id CHAR(36) NOT NULL UNIQUE,
+        webhook_id INT NOT NULL,
+        event VARCHAR(50) NOT NULL,
+        payload JSON NOT NULL,
+        status ENUM('pending','delivered','failed') DEFAULT 'pending',
+        attempts INT DEFAULT 0,
+        last_status_code INT DEFAULT NULL,
+        last_error VARCHAR(500) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP NULL DEFAULT NULL,
+        INDEX idx_deliveries_webhook (webhook_id, created_at)
+    )`);
+    await db.execute(`CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        delivery_id CHAR(36) NOT NULL,
+        attempt INT NOT NULL,
+        status_code INT DEFAULT NULL,
+        error VARCHAR(500) DEFAULT NULL,
+        duration_ms INT DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_attempts_delivery (delivery_id)
+    )`);
+    console.log('[DB] webhook tables ready');
+
+    // otp.expired is announced once per OTP
+    await addColumnIfMissing('otp_logs', 'expired_notified_at', 'TIMESTAMP NULL DEFAULT NULL');
+
+    // Brute-force protection for /api/verify
+    await addColumnIfMissing('otp_logs', 'attempts', 'INT NOT NULL DEFAULT 0');
+    // A scheduled OTP's row holds no sent code until the worker issues one — verify skips it until then
+    await addColumnIfMissing('otp_logs', 'pending_send', 'TINYINT(1) NOT NULL DEFAULT 0');
+    await db.execute(`CREATE TABLE IF NOT EXISTS otp_verify_failures (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        api_key_id INT NOT NULL,
+        phone_number VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_failures_phone (user_id, phone_number, created_at),
+        INDEX idx_failures_key (api_key_id, created_at)
+    )`);
+
+    await db.execute(`CREATE TABLE IF NOT EXISTS wallet_transactions (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        type ENUM('debit','refund','topup') NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        balance_after DECIMAL(12,2) NOT NULL,
+        message_id CHAR(36) DEFAULT NULL,
+        reference VARCHAR(255) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_message_entry (message_id, type),
+        INDEX idx_wallet_user (user_id, created_at)
+    )`);
+    console.log('[DB] wallet_transactions table ready');
+
+    await db.execute(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+        api_key_id INT NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status_code INT DEFAULT NULL,
+        response_body JSON DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (api_key_id, idempotency_key),
+        INDEX idx_idempotency_created (created_at)
+    )`);
+
+    // Per-instance pacing (NULL = PACING_* / WARMUP_* defaults); linked_at starts the warm-up ramp
+    await addColumnIfMissing('whatsapp_instances', 'min_send_interval_ms', 'INT DEFAULT NULL');
+    await addColumnIfMissing('whatsapp_instances', 'send_jitter_ms', 'INT DEFAULT NULL');
+    await addColumnIfMissing('whatsapp_instances', 'max_per_minute', 'INT DEFAULT NULL');
+    await addColumnIfMissing('whatsapp_instances', 'max_per_hour', 'INT DEFAULT NULL');
+    await addColumnIfMissing('whatsapp_instances', 'warmup_days', 'INT DEFAULT NULL');
+    await addColumnIfMissing('whatsapp_instances', 'typing_presence', 'TINYINT(1) DEFAULT NULL');
+    if (await addColumnIfMissing('whatsapp_instances', 'linked_at', 'TIMESTAMP NULL DEFAULT NULL')) {
+        // Numbers linked before warm-up existed are established — date them from creation, not from this deploy
+        await db.execute('UPDATE whatsapp_instances SET linked_at = created_at WHERE auth_creds IS NOT NULL OR phone_number IS NOT NULL');
+    }
+
+    // Multi-channel fallback: which channel delivered, and every attempt on every channel
+    await addColumnIfMissing('messages', 'channel', "VARCHAR(20) DEFAULT NULL");
+    await addColumnIfMissing('messages', 'fallback_channels', 'VARCHAR(100) DEFAULT NULL');
+    await addColumnIfMissing('api_keys', 'fallback_channels', 'VARCHAR(100) DEFAULT NULL');
+    await db.execute(`CREATE TABLE IF NOT EXISTS message_attempts (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        message_id CHAR(36) NOT NULL,
+        attempt INT NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        provider VARCHAR(255) DEFAULT NULL,
+        success TINYINT(1) NOT NULL,
+        provider_message_id VARCHAR(255) DEFAULT NULL,
+        error VARCHAR(500) DEFAULT NULL,
+        duration_ms INT DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_message_attempts_message (message_id)
+    )`);
+
+    // Media attachments
+    await addColumnIfMissing('messages', 'media_type', 'VARCHAR(20) DEFAULT NULL');
+    await addColumnIfMissing('messages', 'media_mimetype', 'VARCHAR(100) DEFAULT NULL');
+    await addColumnIfMissing('messages', 'media_filename', 'VARCHAR(255) DEFAULT NULL');
+    await addColumnIfMissing('messages', 'media_size', 'INT DEFAULT NULL');
+
+    // Campaigns: one template sent to a recipient list, metered out by the campaign scheduler
+    await db.execute(`CREATE TABLE IF NOT EXISTS campaigns (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        campaign_id CHAR(36) NOT NULL UNIQUE,
+        user_id INT NOT NULL,
+        api_key_id INT DEFAULT NULL,
+        name VARCHAR(255) DEFAULT NULL,
+        body TEXT NOT NULL,
+        routing_type ENUM('personal','shared') NOT NULL,
+        status ENUM('scheduled','running','paused','completed','cancelled') DEFAULT 'scheduled',
+        start_at TIMESTAMP NULL DEFAULT NULL,
+        window_start SMALLINT DEFAULT NULL,
+        window_end SMALLINT DEFAULT NULL,
+        window_timezone VARCHAR(64) DEFAULT NULL,
+        pause_reason VARCHAR(255) DEFAULT NULL,
+        total_recipients INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL DEFAULT NULL,
+        INDEX idx_campaigns_user (user_id, created_at),
+        INDEX idx_campaigns_status (status)
+    )`);
+    await db.execute(`CREATE TABLE IF NOT EXISTS campaign_recipients (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        campaign_id CHAR(36) NOT NULL,
+        phone_number VARCHAR(50) NOT NULL,
+        variables JSON DEFAULT NULL,
+        status ENUM('pending','queued','skipped','failed') DEFAULT 'pending',
+        message_id CHAR(36) DEFAULT NULL,
+        error VARCHAR(255) DEFAULT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_campaign_phone (campaign_id, phone_number),
+        INDEX idx_campaign_recipients_status (campaign_id, status)
+    )`);
+
+    // Quiet hours: one rule per user, local to each recipient
+    await db.execute(`CREATE TABLE IF NOT EXISTS quiet_hours (
+        user_id INT PRIMARY KEY,
+        start_minutes SMALLINT NOT NULL,
+        end_minutes SMALLINT NOT NULL,
+        default_timezone VARCHAR(64) DEFAULT NULL,
+        include_otp TINYINT(1) NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+
+    // Inbound messages (replies to our numbers) and the opt-out list STOP replies land on
+    await db.execute(`CREATE TABLE IF NOT EXISTS inbound_messages (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        user_id INT DEFAULT NULL,
+        wa_message_id VARCHAR(128) NOT NULL,
+        phone_number VARCHAR(50) NOT NULL,
+        push_name VARCHAR(255) DEFAULT NULL,
+        message_type VARCHAR(50) DEFAULT NULL,
+        body TEXT DEFAULT NULL,
+        keyword_action VARCHAR(20) DEFAULT NULL,
+        received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_inbound_message (instance_id, wa_message_id),
+        INDEX idx_inbound_user (user_id, received_at)
+    )`);
+    await db.execute(`CREATE TABLE IF NOT EXISTS suppressions (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        phone_number VARCHAR(50) NOT NULL,
+        reason VARCHAR(255) DEFAULT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'manual',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_suppression (user_id, phone_number)
+    )`);
+
+    // Quarantine: a cool-down state for ambiguous ban signals, with a reviewable state history
+    await db.execute(`ALTER TABLE whatsapp_instances MODIFY status ENUM('disconnected','connecting','connected','reconnecting','banned','quarantined') DEFAULT 'disconnected'`);
+    await addColumnIfMissing('whatsapp_instances', 'quarantined_until', 'TIMESTAMP NULL DEFAULT NULL');
+    await addColumnIfMissing('whatsapp_instances', 'quarantine_reason', 'VARCHAR(255) DEFAULT NULL');
+    await db.execute(`CREATE TABLE IF NOT EXISTS instance_state_history (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        instance_id VARCHAR(255) NOT NULL,
+        from_status VARCHAR(20) DEFAULT NULL,
+        to_status VARCHAR(20) NOT NULL,
+        reason VARCHAR(255) DEFAULT NULL,
+        code INT DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_state_history_instance (instance_id, created_at)
+    )`);
+
+    // Rotation strategy per user, and the one used for each send
+    await addColumnIfMissing('users', 'rotation_strategy', "VARCHAR(20) DEFAULT NULL");
+    await addColumnIfMissing('messages', 'selection_strategy', "VARCHAR(20) DEFAULT NULL");
+
+    // Per-plan rate limits (NULL = service defaults)
+    await addColumnIfMissing('plans', 'api_rate_limit', 'INT DEFAULT NULL');
+    await addColumnIfMissing('plans', 'phone_rate_limit', 'INT DEFAULT NULL');
+
+    // Per-key OTP settings (api_keys is owned by the website, so only add what we need)
+    await addColumnIfMissing('api_keys', 'otp_length', 'TINYINT DEFAULT NULL');
+    await addColumnIfMissing('api_keys', 'otp_type', "ENUM('numeric','alphanumeric') DEFAULT NULL");
+    await addColumnIfMissing('api_keys', 'otp_ttl_seconds', 'INT DEFAULT NULL');
+    await addColumnIfMissing('api_keys', 'app_name', 'VARCHAR(100) DEFAULT NULL');
+}
+
+// MySQL has no ADD COLUMN IF NOT EXISTS — ignore the duplicate-column error instead
+// true when the column was added by this call
+async function addColumnIfMissing(table, column, definition) {
+    const db = getPool();
+    try {
+        await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`[DB] Added ${table}.${column}`);
+        return true;
+    } catch (e) {
+        if (e.code !== 'ER_DUP_FIELDNAME') console.error(`[DB] Could not add ${table}.${column}:`, e.message);
+        return false;
+    }
 }
 
 // ═══════════════════════════════════════════════
@@ -151,13 +464,32 @@ async function useDBAuthState(instanceId) {
 // ═══════════════════════════════════════════════
 //  DB HELPERS
 // ═══════════════════════════════════════════════
-async function updateInstanceStatus(instanceId, status, phoneNumber = null) {
+async function getInstanceStatus(instanceId) {
+    const db = getPool();
+    const [rows] = await db.execute('SELECT status FROM whatsapp_instances WHERE instance_id = ?', [instanceId]);
+    return rows[0]?.status || null;
+}
+
+// Every status change lands in instance_state_history so operators can review false positives
+// `always` records a row even without a status change — each quarantine is a strike, including re-quarantines
+async function recordStateChange(instanceId, fromStatus, toStatus, reason = null, code = null, { always = false } = {}) {
+    if (fromStatus === toStatus && !always) return;
+    const db = getPool();
+    await db.execute(
+        'INSERT INTO instance_state_history (instance_id, from_status, to_status, reason, code) VALUES (?, ?, ?, ?, ?)',
+        [instanceId, fromStatus, toStatus, reason ? String(reason).slice(0, 255) : null, code]
+    );
+}
+
+async function updateInstanceStatus(instanceId, status, phoneNumber = null, { reason = null, code = null } = {}) {
     const db = getPool();
+    const previous = await getInstanceStatus(instanceId);
     const fields = ['status = ?', 'last_ping = NOW()'];
     const values = [status];
     if (phoneNumber) { fields.push('phone_number = ?'); values.push(phoneNumber); }
     values.push(instanceId);
     await db.execute(`UPDATE whatsapp_instances SET ${fields.join(', ')} WHERE instance_id = ?`, values);
+    await recordStateChange(instanceId, previous, status, reason, code);
 }
 
 // DB-level pod lock — prevents two Render pods from starting the same session simultaneously.
@@ -193,9 +525,53 @@ async function releaseSessionClaim(instanceId) {
     } catch (e) { /* ignore if column missing */ }
 }
 
-async function markBanned(instanceId) {
+async function markBanned(instanceId, reason = null, code = null) {
+    const db = getPool();
+    const previous = await getInstanceStatus(instanceId);
+    await db.execute('UPDATE whatsapp_instances SET is_banned = 1, status = ?, quarantined_until = NULL WHERE instance_id = ?', ['banned', instanceId]);
+    await recordStateChange(instanceId, previous, 'banned', reason, code);
+}
+
+// Ambiguous ban signals take the number out of rotation for a cool-down that doubles with each
+// strike. QUARANTINE_MAX_STRIKES quarantines inside the strike window make the ban permanent.
+// Returns the resulting status: 'quarantined' or 'banned'.
+const QUARANTINE_MINUTES = parseInt(process.env.QUARANTINE_MINUTES || '60');
+const QUARANTINE_MAX_STRIKES = parseInt(process.env.QUARANTINE_MAX_STRIKES || '3');
+const QUARANTINE_STRIKE_WINDOW_DAYS = parseInt(process.env.QUARANTINE_STRIKE_WINDOW_DAYS || '7');
+const QUARANTINE_PROBE_RETRY_MINUTES = 15;
+
+async function quarantineInstance(instanceId, reason, code = null) {
+    const db = getPool();
+    const [[{ strikes }]] = await db.execute(
+        `SELECT COUNT(*) AS strikes FROM instance_state_history
+         WHERE instance_id = ? AND to_status = 'quarantined' AND created_at > DATE_SUB(NOW(), INTERVAL ? DAY)`,
+        [instanceId, QUARANTINE_STRIKE_WINDOW_DAYS]
+    );
+    if (strikes + 1 >= QUARANTINE_MAX_STRIKES) {
+        await markBanned(instanceId, `${reason} (strike ${strikes + 1} of ${QUARANTINE_MAX_STRIKES})`, code);
+        return 'banned';
+    }
+
+    const minutes = QUARANTINE_MINUTES * 2 ** strikes;
+    const previous = await getInstanceStatus(instanceId);
+    await db.execute(
+        `UPDATE whatsapp_instances SET status = 'quarantined', quarantined_until = DATE_ADD(NOW(), INTERVAL ? MINUTE), quarantine_reason = ? WHERE instance_id = ?`,
+        [minutes, String(reason).slice(0, 255), instanceId]
+    );
+    await recordStateChange(instanceId, previous, 'quarantined', `${reason} (strike ${strikes + 1}, ${minutes} min cool-down)`, code, { always: true });
+    return 'quarantined';
+}
+
+// 'active' while the cool-down runs, 'expired' once it is over but the probe has not restored the
+// instance yet, null when it is not quarantined. Only probeQuarantinedInstances brings one back.
+async function getQuarantineState(instanceId) {
     const db = getPool();
-    await db.execute('UPDATE whatsapp_instances SET is_banned = 1, status = ? WHERE instance_id = ?', ['banned', instanceId]);
+    const [rows] = await db.execute(
+        `SELECT quarantined_until > NOW() AS active FROM whatsapp_instances WHERE instance_id = ? AND status = 'quarantined'`,
+        [instanceId]
+    );
+    if (!rows.length) return null;
+    return rows[0].active ? 'active' : 'expired';
 }
 
 async function incrementMessageCount(instanceId) {
@@ -207,40 +583,67 @@ async function incrementMessageCount(instanceId) {
     );
 }
 
+// Reset stale daily counts and swap in the warm-up limit; configured_daily_limit keeps the raw value
+function withEffectiveLimit(today) {
+    return (r) => {
+        const cnt = (r.last_reset_date && r.last_reset_date >= today) ? r.messages_sent_today : 0;
+        return { ...r, messages_sent_today: cnt, configured_daily_limit: r.daily_message_limit, daily_message_limit: pacing.effectiveDailyLimit(r) };
+    };
+}
+
 async function getAvailableInstances(userId) {
     const db = getPool();
     const today = new Date().toISOString().split('T')[0];
     const [rows] = await db.execute(
-        `SELECT id, instance_id, phone_number, daily_message_limit, messages_sent_today, last_reset_date, priority FROM whatsapp_instances WHERE user_id = ? AND status = 'connected' AND is_banned = 0 ORDER BY priority ASC, messages_sent_today ASC`,
+        `SELECT id, instance_id, phone_number, daily_message_limit, messages_sent_today, last_reset_date, priority, linked_at, warmup_days FROM whatsapp_instances WHERE user_id = ? AND status = 'connected' AND is_banned = 0 ORDER BY priority ASC, messages_sent_today ASC`,
         [userId]
     );
-    return rows.map(r => {
-        const cnt = (r.last_reset_date && r.last_reset_date >= today) ? r.messages_sent_today : 0;
-        return { ...r, messages_sent_today: cnt };
-    }).filter(r => r.messages_sent_today < r.daily_message_limit);
+    return rows.map(withEffectiveLimit(today)).filter(r => r.messages_sent_today < r.daily_message_limit);
 }
 
 async function getAvailableSharedInstances() {
     const db = getPool();
     const today = new Date().toISOString().split('T')[0];
     const [rows] = await db.execute(
-        `SELECT id, instance_id, phone_number, daily_message_limit, messages_sent_today, last_reset_date FROM whatsapp_instances WHERE is_company_shared = 1 AND status = 'connected' AND is_banned = 0 ORDER BY messages_sent_today ASC`
+        `SELECT id, instance_id, phone_number, daily_message_limit, messages_sent_today, last_reset_date, linked_at, warmup_days FROM whatsapp_instances WHERE is_company_shared = 1 AND status = 'connected' AND is_banned = 0 ORDER BY messages_sent_today ASC`
     );
-    return rows.map(r => {
-        const cnt = (r.last_reset_date && r.last_reset_date >= today) ? r.messages_sent_today : 0;
-        return { ...r, messages_sent_today: cnt };
-    }).filter(r => r.messages_sent_today < r.daily_message_limit);
+    return rows.map(withEffectiveLimit(today)).filter(r => r.messages_sent_today < r.daily_message_limit);
 }
 
 async function getAllInstancesForUser(userId) {
     const db = getPool();
     const [rows] = await db.execute(
-        `SELECT id, instance_id, phone_number, status, is_banned, daily_message_limit, messages_sent_today, last_reset_date, last_ping FROM whatsapp_instances WHERE user_id = ? ORDER BY priority ASC`,
+        `SELECT id, instance_id, phone_number, status, is_banned, quarantined_until, quarantine_reason, daily_message_limit, messages_sent_today, last_reset_date, last_ping FROM whatsapp_instances WHERE user_id = ? ORDER BY priority ASC`,
         [userId]
     );
     return rows;
 }
 
+// Calling code assumed for national numbers — the user's users.default_prefix, else DEFAULT_PHONE_PREFIX
+async function getDefaultPrefix(userId) {
+    if (userId) {
+        const db = getPool();
+        const [rows] = await db.execute('SELECT default_prefix FROM users WHERE id = ?', [userId]);
+        if (rows[0]?.default_prefix) return rows[0].default_prefix;
+    }
+    return process.env.DEFAULT_PHONE_PREFIX || null;
+}
+
+// First successful connect starts the warm-up ramp
+async function markLinked(instanceId) {
+    const db = getPool();
+    await db.execute('UPDATE whatsapp_instances SET linked_at = COALESCE(linked_at, NOW()) WHERE instance_id = ?', [instanceId]);
+}
+
+async function loadPacingConfig(instanceId) {
+    const db = getPool();
+    const [rows] = await db.execute(
+        'SELECT min_send_interval_ms, send_jitter_ms, max_per_minute, max_per_hour, warmup_days, typing_presence FROM whatsapp_instances WHERE instance_id = ?',
+        [instanceId]
+    );
+    return pacing.resolvePacingConfig(rows[0]);
+}
+
 async function createInstanceRecord(userId, instanceId) {
     const db = getPool();
     await db.execute(`INSERT INTO whatsapp_instances (user_id, instance_id, status) VALUES (?, ?, 'disconnected')`, [userId, instanceId]);
@@ -249,12 +652,49 @@ async function createInstanceRecord(userId, instanceId) {
 // ═══════════════════════════════════════════════
 //  SESSION MANAGER
 // ═══════════════════════════════════════════════
-async function startSession(instanceId) {
+// Pairing codes stand in for the QR when the number is linked from the phone showing the dashboard.
+// A code is re-requested on the next QR refresh once it expires, up to PAIRING_MAX_ATTEMPTS times.
+const PAIRING_CODE_TTL_SECONDS = parseInt(process.env.PAIRING_CODE_TTL_SECONDS || '60');
+const PAIRING_MAX_ATTEMPTS = parseInt(process.env.PAIRING_MAX_ATTEMPTS || '3');
+
+async function refreshPairingCode(instanceId, session) {
+    const pairing = session.pairing;
+    if (pairing.code && Date.now() < pairing.expiresAt) return;
+    if (pairing.attempts >= PAIRING_MAX_ATTEMPTS) {
+        console.log(`[${instanceId}] Pairing code not entered after ${pairing.attempts} codes. Stopping — request a new one from the dashboard.`);
+        pairing.code = null;
+        session.socket?.end(new Error('Pairing code attempts exhausted'));
+        return;
+    }
+
+    pairing.attempts++;
+    const raw = await session.socket.requestPairingCode(pairing.phone);
+    pairing.code = raw.match(/.{1,4}/g).join('-');
+    pairing.expiresAt = Date.now() + PAIRING_CODE_TTL_SECONDS * 1000;
+    setSessionStatus(instanceId, session, 'pairing_code_ready');
+    sessionEvents.emit(instanceId, { type: 'pairing_code', code: pairing.code, expires_at: new Date(pairing.expiresAt).toISOString(), attempt: pairing.attempts });
+    console.log(`[${instanceId}] Pairing code generated for +${pairing.phone} (attempt ${pairing.attempts}), waiting for entry...`);
+    emitInstanceEvent('instance.pairing_code_ready', instanceId, { pairing_attempt: pairing.attempts, phone_number: pairing.phone });
+}
+
+// opts.probe marks a quarantine re-probe: a clean 'open' restores the instance
+// opts.pairingPhone (E.164 digits) links with a pairing code instead of a QR
+async function startSession(instanceId, opts = {}) {
+    // A quarantined instance stays out until its cool-down ends; a start after that is a probe
+    const quarantine = await getQuarantineState(instanceId);
+    if (quarantine === 'active' && !opts.probe) {
+        console.log(`[${instanceId}] Quarantined — not starting a session before the cool-down ends`);
+        return null;
+    }
+    const probe = !!opts.probe || quarantine === 'expired';
+
     if (sessions.has(instanceId)) {
         const existing = sessions.get(instanceId);
         if (existing.status === 'connected') return existing;
+        // A live quarantined socket is probed in place by probeQuarantinedInstances
+        if (existing.status === 'quarantined') return existing;
         // If stuck in 'connecting' for over 45 seconds, force restart
-        if (existing.status === 'connecting' || existing.status === 'qr_ready') {
+        if (existing.status === 'connecting' || existing.status === 'qr_ready' || existing.status === 'pairing_code_ready') {
             const age = Date.now() - (existing.createdAt || 0);
             if (age < 45000) return existing; // Still fresh, don't restart
             console.log(`[${instanceId}] Session stuck for ${Math.round(age / 1000)}s, restarting...`);
@@ -277,9 +717,12 @@ async function startSession(instanceId) {
         phoneNumber: null,
         createdAt: Date.now(),
         everConnected: false,  // true once 'open' fires — used to decide auto-reconnect
-        qrAttempts: 0          // counts QR generations; stop retrying after limit
+        qrAttempts: 0,         // counts QR generations; stop retrying after limit
+        probing: probe,        // quarantine re-probe in progress
+        pairing: opts.pairingPhone ? { phone: opts.pairingPhone, code: null, expiresAt: 0, attempts: 0 } : null
     };
     sessions.set(instanceId, session);
+    setSessionStatus(instanceId, session, 'connecting');
 
     try {
         const { state, saveCreds } = await useDBAuthState(instanceId);
@@ -308,41 +751,87 @@ async function startSession(instanceId) {
         session.socket = socket;
         socket.ev.on('creds.update', saveCreds);
 
+        // Delivery/read receipts for messages we sent
+        socket.ev.on('messages.update', (updates) => handleMessageUpdates(instanceId, updates));
+        socket.ev.on('message-receipt.update', (receipts) => handleMessageReceipts(instanceId, receipts));
+        // Replies from recipients
+        socket.ev.on('messages.upsert', (upsert) => handleInboundMessages(instanceId, upsert));
+
         socket.ev.on('connection.update', async (update) => {
             try {
                 const { connection, lastDisconnect, qr } = update;
 
-                if (qr) {
+                if (qr && session.pairing) {
+                    // The QR refresh marks the socket as ready for a login — hand out a pairing code instead
+                    await refreshPairingCode(instanceId, session);
+                } else if (qr) {
                     session.qrAttempts++;
                     session.qr = qr;
-                    session.status = 'qr_ready';
+                    setSessionStatus(instanceId, session, 'qr_ready');
+                    sessionEvents.emit(instanceId, { type: 'qr', qr, attempt: session.qrAttempts });
                     console.log(`[${instanceId}] QR code generated (attempt ${session.qrAttempts}), waiting for scan...`);
+                    emitInstanceEvent('instance.qr_ready', instanceId, { qr_attempt: session.qrAttempts });
                 }
 
                 if (connection === 'open') {
-                    session.status = 'connected';
                     session.everConnected = true;
                     session.qr = null;
                     session.qrAttempts = 0;
+                    session.pairing = null;
                     const phone = socket.user?.id?.split(':')[0] || socket.user?.id?.split('@')[0] || null;
                     session.phoneNumber = phone;
-                    await updateInstanceStatus(instanceId, 'connected', phone);
+                    setSessionStatus(instanceId, session, 'connected');
+                    if (session.probing) {
+                        await restoreInstance(instanceId, 'Quarantine probe reconnected cleanly', phone);
+                        session.probing = false;
+                    } else {
+                        await updateInstanceStatus(instanceId, 'connected', phone);
+                    }
+                    await markLinked(instanceId);
+                    session.pacing = await loadPacingConfig(instanceId);
                     console.log(`[${instanceId}] Connected! Phone: ${phone}`);
+                    emitInstanceEvent('instance.connected', instanceId, { phone_number: phone });
                 }
 
                 if (connection === 'close') {
                     const code = lastDisconnect?.error?.output?.statusCode || 500;
                     console.log(`[${instanceId}] Disconnected: ${code}`);
 
-                    if ([401, 403].includes(code)) {
-                        session.status = 'banned';
-                        await markBanned(instanceId);
+                    // 401 = the device was unlinked: its credentials are dead, so there is nothing to probe
+                    if (code === DisconnectReason.loggedOut) {
+                        setSessionStatus(instanceId, session, 'disconnected');
+                        await updateInstanceStatus(instanceId, 'disconnected', null, { reason: 'Logged out', code });
+                        await releaseSessionClaim(instanceId);
                         sessions.delete(instanceId);
+                        emitInstanceEvent('instance.logged_out', instanceId, { code, phone_number: session.phoneNumber });
                         return;
                     }
-                    if (code === DisconnectReason.loggedOut) {
-                        session.status = 'disconnected';
-                        await updateInstanceStatus(instanceId, 'disconnected');
+
+                    // 403 can mean a ban, but also a WhatsApp hiccup — quarantine first
+                    if (code === 403) {
+                        const reason = `Connection closed with ${code}${session.probing ? ' during quarantine probe' : ''}`;
+                        setSessionStatus(instanceId, session, await quarantineInstance(instanceId, reason, code), { reason });
+                        await releaseSessionClaim(instanceId);
+                        sessions.delete(instanceId);
+                        emitInstanceEvent(session.status === 'banned' ? 'instance.banned' : 'instance.quarantined', instanceId, { code, reason, phone_number: session.phoneNumber });
+                        return;
+                    }
+
+                    // A probe that fails for any other reason stays quarantined and is retried later
+                    if (session.probing) {
+                        console.log(`[${instanceId}] Quarantine probe closed with ${code}, retrying in ${QUARANTINE_PROBE_RETRY_MINUTES} min`);
+                        const db = getPool();
+                        await db.execute('UPDATE whatsapp_instances SET quarantined_until = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE instance_id = ?', [QUARANTINE_PROBE_RETRY_MINUTES, instanceId]);
+                        await releaseSessionClaim(instanceId);
+                        sessions.delete(instanceId);
+                        return;
+                    }
+
+                    // A quarantined socket that drops stays quarantined — probeQuarantinedInstances reconnects it
+                    if (session.status === 'quarantined' || await getQuarantineState(instanceId)) {
+                        console.log(`[${instanceId}] Quarantined socket closed with ${code}, leaving reconnection to the quarantine probe`);
+                        setSessionStatus(instanceId, session, 'quarantined');
+                        await releaseSessionClaim(instanceId);
                         sessions.delete(instanceId);
                         return;
                     }
@@ -352,7 +841,7 @@ async function startSession(instanceId) {
                     // If the QR was never scanned, stop and wait — don't loop forever.
                     if (!session.everConnected) {
                         console.log(`[${instanceId}] QR was not scanned (code ${code}). Stopping auto-retry. Request a new QR from the dashboard.`);
-                        session.status = 'disconnected';
+                        setSessionStatus(instanceId, session, 'disconnected');
                         await updateInstanceStatus(instanceId, 'disconnected');
                         await releaseSessionClaim(instanceId);
                         sessions.delete(instanceId);
@@ -363,30 +852,32 @@ async function startSession(instanceId) {
                     // Release our lock and wait longer before retrying so the other side wins cleanly.
                     if (code === 440) {
                         console.log(`[${instanceId}] Session replaced by another connection (code 440). Releasing lock and waiting 30s before retry...`);
-                        session.status = 'reconnecting';
+                        setSessionStatus(instanceId, session, 'reconnecting');
                         await updateInstanceStatus(instanceId, 'reconnecting');
                         await releaseSessionClaim(instanceId);
                         sessions.delete(instanceId);
+                        instanceHealth.recordReconnect(instanceId);
                         setTimeout(() => startSession(instanceId), 30000); // 30s backoff
                         return;
                     }
 
                     // Normal disconnect — was connected before, safe to auto-reconnect
-                    session.status = 'reconnecting';
+                    setSessionStatus(instanceId, session, 'reconnecting');
                     await updateInstanceStatus(instanceId, 'reconnecting');
                     await releaseSessionClaim(instanceId);
                     sessions.delete(instanceId);
+                    instanceHealth.recordReconnect(instanceId);
                     setTimeout(() => startSession(instanceId), 5000);
                 }
             } catch (eventErr) {
                 console.error(`[${instanceId}] Internal Event Error:`, eventErr.message);
                 if (session.everConnected) {
-                    session.status = 'reconnecting';
+                    setSessionStatus(instanceId, session, 'reconnecting');
                     await releaseSessionClaim(instanceId);
                     sessions.delete(instanceId);
                     setTimeout(() => startSession(instanceId), 5000);
                 } else {
-                    session.status = 'disconnected';
+                    setSessionStatus(instanceId, session, 'disconnected');
                     try { await updateInstanceStatus(instanceId, 'disconnected'); } catch (e) {}
                     await releaseSessionClaim(instanceId);
                     sessions.delete(instanceId);
@@ -397,27 +888,117 @@ async function startSession(instanceId) {
         return session;
     } catch (err) {
         console.error(`[${instanceId}] Failed:`, err.message);
-        session.status = 'error';
+        setSessionStatus(instanceId, session, 'error');
         try { await updateInstanceStatus(instanceId, 'disconnected'); } catch (e) { }
         return session;
     }
 }
 
+// Per-instance send lanes: instanceId -> tail promise. Queue workers run concurrently,
+// but each WhatsApp number drains its sends one at a time.
+const instanceLanes = new Map();
+
+function runInLane(instanceId, task) {
+    const prev = instanceLanes.get(instanceId) || Promise.resolve();
+    const run = prev.then(task);
+    const tail = run.catch(() => { });
+    instanceLanes.set(instanceId, tail);
+    tail.then(() => { if (instanceLanes.get(instanceId) === tail) instanceLanes.delete(instanceId); });
+    return run;
+}
+
+// Pacing waits happen inside the lane, so they hold back only this instance
+const pacer = pacing.createPacer();
+const PACING_MAX_WAIT_MS = parseInt(process.env.PACING_MAX_WAIT_MS || '30000');
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Interactive (nativeFlow) message with the OTP buttons, footer and optional image header.
+// The header is a validated file from the media store (see /api/send), never a remote URL.
+async function sendInteractive(socket, jid, content) {
+    let imageMessage = null;
+    if (content.rich.headerImage) {
+        const header = content.rich.headerImage;
+        const image = await mediaStore.readLocalMedia(header);
+        ({ imageMessage } = await prepareWAMessageMedia({ image, mimetype: header.mimetype }, { upload: socket.waUploadToServer }));
+    }
+    const interactiveMessage = richMessages.buildInteractiveMessage({ text: content.text, code: content.rich.code, rich: content.rich, imageMessage });
+    const msg = generateWAMessageFromContent(jid, {
+        viewOnceMessage: {
+            message: {
+                messageContextInfo: { deviceListMetadata: {}, deviceListMetadataVersion: 2 },
+                interactiveMessage
+            }
+        }
+    }, { userJid: socket.user.id });
+    await socket.relayMessage(jid, msg.message, { messageId: msg.key.id });
+    return msg;
+}
+
+// `message` is the text, { text, rich } for an interactive OTP, or { text, media } for an attachment
+// (media.data holds the bytes; text becomes the caption). A refused interactive payload goes out as
+// plain text. Results carry rich: true only when the interactive one was sent.
 async function sendMsg(instanceId, phone, message) {
-    const session = sessions.get(instanceId);
-    if (!session || session.status !== 'connected') return { success: false, error: 'Not connected' };
-    try {
-        const jid = phone.replace(/[^0-9]/g, '') + '@s.whatsapp.net';
-        await session.socket.sendMessage(jid, { text: message });
-        return { success: true };
-    } catch (err) {
-        if (err.message?.includes('banned') || err.message?.includes('blocked')) {
-            await markBanned(instanceId);
-            session.status = 'banned';
-            return { success: false, error: 'Banned', banned: true };
+    const content = typeof message === 'string' ? { text: message } : message;
+    return runInLane(instanceId, async () => {
+        let session = sessions.get(instanceId);
+        if (!session || session.status !== 'connected') return { success: false, error: 'Not connected' };
+
+        // Throttled instances are skipped — rotation moves on, or the queue retries later
+        const config = session.pacing || pacing.resolvePacingConfig();
+        const slot = pacer.reserve(instanceId, config);
+        if (!slot.allowed || slot.waitMs > PACING_MAX_WAIT_MS) {
+            return { success: false, error: `Throttled: ${slot.reason || 'next send slot too far away'}`, throttled: true, retryAfterMs: slot.waitMs };
         }
-        return { success: false, error: err.message };
-    }
+        if (slot.waitMs) {
+            await sleep(slot.waitMs);
+            session = sessions.get(instanceId);
+            if (!session || session.status !== 'connected') return { success: false, error: 'Not connected' };
+        }
+
+        const jid = toJid(phone);
+        if (config.typingPresence) {
+            try {
+                await session.socket.presenceSubscribe(jid);
+                await session.socket.sendPresenceUpdate('composing', jid);
+                await sleep(pacing.typingDurationMs(content.text));
+                await session.socket.sendPresenceUpdate('paused', jid);
+            } catch (e) { /* presence is cosmetic */ }
+        }
+
+        pacer.record(instanceId);
+        const started = Date.now();
+        const isBanSignal = (err) => err.message?.includes('banned') || err.message?.includes('blocked');
+        try {
+            let sent = null;
+            if (content.rich) {
+                try {
+                    sent = await sendInteractive(session.socket, jid, content);
+                } catch (err) {
+                    if (isBanSignal(err)) throw err;
+                    console.log(`[${instanceId}] Interactive message refused (${err.message}), sending plain text`);
+                }
+            }
+            const rich = !!sent;
+            if (content.media) {
+                sent = await session.socket.sendMessage(jid, mediaStore.toMessageContent(content.media, content.media.data, content.text));
+            } else if (!sent) {
+                sent = await session.socket.sendMessage(jid, { text: content.text });
+            }
+            instanceHealth.recordSend(instanceId, true, Date.now() - started);
+            // The key id is what messages.update / message-receipt.update refer back to
+            return { success: true, key: sent?.key || null, rich };
+        } catch (err) {
+            instanceHealth.recordSend(instanceId, false, Date.now() - started);
+            // "blocked" is often just the recipient blocking us — quarantine rather than ban outright
+            if (isBanSignal(err)) {
+                const reason = `Send failed: ${err.message}`;
+                setSessionStatus(instanceId, session, await quarantineInstance(instanceId, reason), { reason });
+                emitInstanceEvent(session.status === 'banned' ? 'instance.banned' : 'instance.quarantined', instanceId, { reason, phone_number: session.phoneNumber });
+                return { success: false, error: session.status === 'banned' ? 'Banned' : 'Quarantined', banned: true };
+            }
+            return { success: false, error: err.message };
+        }
+    });
 }
 
 function getSession(id) { return sessions.get(id) || null; }
@@ -432,410 +1013,2920 @@ async function disconnectSession(instanceId) {
     await updateInstanceStatus(instanceId, 'disconnected');
 }
 
+async function restoreInstance(instanceId, reason, phoneNumber = null) {
+    const db = getPool();
+    await db.execute('UPDATE whatsapp_instances SET is_banned = 0, quarantined_until = NULL, quarantine_reason = NULL WHERE instance_id = ?', [instanceId]);
+    await updateInstanceStatus(instanceId, 'connected', phoneNumber, { reason });
+    const s = sessions.get(instanceId);
+    if (s && s.socket) setSessionStatus(instanceId, s, 'connected');
+    console.log(`[${instanceId}] Restored from quarantine: ${reason}`);
+    emitInstanceEvent('instance.restored', instanceId, { reason });
+}
+
+// Re-probe instances whose cool-down is over. A socket that stayed up only has to answer a query
+// about its own number; a closed one is reconnected and restored on a clean 'open'.
+async function probeQuarantinedInstances() {
+    const db = getPool();
+    const [rows] = await db.execute(
+        `SELECT instance_id FROM whatsapp_instances
+         WHERE status = 'quarantined' AND is_banned = 0 AND quarantined_until <= NOW() AND auth_creds IS NOT NULL`
+    );
+    for (const { instance_id: instanceId } of rows) {
+        const s = sessions.get(instanceId);
+        if (s?.socket && s.status === 'quarantined' && s.socket.user?.id) {
+            try {
+                const own = s.socket.user.id.split(':')[0].split('@')[0];
+                const [me] = await s.socket.onWhatsApp(own);
+                if (me?.exists) {
+                    await restoreInstance(instanceId, 'Quarantine probe: live socket answered');
+                    continue;
+                }
+            } catch (err) {
+                console.log(`[${instanceId}] Quarantine probe query failed: ${err.message}`);
+            }
+            const outcome = await quarantineInstance(instanceId, 'Quarantine probe failed on live socket');
+            setSessionStatus(instanceId, s, outcome);
+            if (outcome === 'banned') emitInstanceEvent('instance.banned', instanceId, { reason: 'Quarantine probe failed' });
+            continue;
+        }
+
+        console.log(`[${instanceId}] Quarantine over — probing with a fresh session`);
+        if (s) {
+            try { s.socket?.end(); } catch (e) { }
+            sessions.delete(instanceId);
+        }
+        await startSession(instanceId, { probe: true });
+    }
+}
+
 function getAllSessions() {
     const result = {};
     for (const [id, s] of sessions) {
-        result[id] = { status: s.status, hasQr: !!s.qr, phoneNumber: s.phoneNumber };
+        result[id] = { status: s.status, hasQr: !!s.qr, hasPairingCode: !!s.pairing?.code, phoneNumber: s.phoneNumber };
     }
     return result;
 }
 
-// Wait for QR with polling
-async function waitForQr(instanceId, maxSeconds = 15) {
-    for (let i = 0; i < maxSeconds; i++) {
-        await new Promise(r => setTimeout(r, 1000));
-        const s = getSession(instanceId);
-        if (s?.qr || s?.status === 'connected') return s;
-    }
-    return getSession(instanceId);
+// Resolve as soon as the session has a QR (or pairing code) or connects, or after maxSeconds
+function waitForQr(instanceId, maxSeconds = 15) {
+    const ready = (s) => s?.qr || s?.pairing?.code || s?.status === 'connected';
+    if (ready(getSession(instanceId))) return Promise.resolve(getSession(instanceId));
+    return new Promise((resolve) => {
+        const done = () => {
+            clearTimeout(timer);
+            sessionEvents.off(instanceId, onUpdate);
+            resolve(getSession(instanceId));
+        };
+        const onUpdate = () => { if (ready(getSession(instanceId))) done(); };
+        const timer = setTimeout(done, maxSeconds * 1000);
+        sessionEvents.on(instanceId, onUpdate);
+    });
 }
 
 // ═══════════════════════════════════════════════
-//  ROTATION ENGINE (Sequential Round-Robin)
+//  ROTATION ENGINE (selectable strategies)
 // ═══════════════════════════════════════════════
-async function sendWithRotation(userId, phone, message) {
-    const instances = await getAvailableInstances(userId);
-    if (!instances.length) return { success: false, error: 'All personal instances at limit/banned/disconnected', all_exhausted: true };
+// Strategies only decide the order instances are tried in — see rotationStrategies.js.
+// users.rotation_strategy picks one per user; SHARED_ROTATION_STRATEGY covers the company pool.
+const SHARED_ROTATION_STRATEGY = rotation.normalizeStrategy(process.env.SHARED_ROTATION_STRATEGY);
+const instanceHealth = rotation.createHealthTracker();
+// ROTATION_SEED makes weighted selection repeatable (staging, load tests)
+const rotationRandom = process.env.ROTATION_SEED ? rotation.createSeededRandom(parseInt(process.env.ROTATION_SEED, 10)) : Math.random;
 
-    const uId = String(userId);
-    if (!personalRoundRobinIndex.has(uId)) personalRoundRobinIndex.set(uId, 0);
+async function getRotationStrategy(userId) {
+    const db = getPool();
+    const [rows] = await db.execute('SELECT rotation_strategy FROM users WHERE id = ?', [userId]);
+    return rotation.normalizeStrategy(rows[0]?.rotation_strategy);
+}
 
-    let startIndex = personalRoundRobinIndex.get(uId);
-    let attempts = 0;
+// Try instances in strategy order; `cursor` is the round-robin position, advanced past whichever instance sends
+// Returns the send result, or { success: false, throttled } — throttled when every instance that was
+// tried only turned the send down for pacing, with retryAfterMs until the earliest one frees up
+async function sendThroughInstances(instances, strategy, cursor, phone, message) {
+    const ordered = rotation.orderInstances(strategy, instances, { cursor, health: instanceHealth, random: rotationRandom });
     const total = instances.length;
+    const throttledWaits = [];
+    let failed = false;
 
-    while (attempts < total) {
-        let currentIndex = (startIndex + attempts) % total;
-        const inst = instances[currentIndex];
-
+    for (const inst of ordered) {
         const s = getSession(inst.instance_id);
-        if (s && s.status === 'connected') {
-            const result = await sendMsg(inst.instance_id, phone, message);
-            if (result.success) {
-                await incrementMessageCount(inst.instance_id);
-                // Move tracker forward for NEXT request
-                personalRoundRobinIndex.set(uId, (currentIndex + 1) % total);
-                return {
-                    success: true,
-                    instance_id: inst.instance_id,
-                    instance_db_id: inst.id,
-                    phone_number: inst.phone_number,
-                    messages_sent_today: inst.messages_sent_today + 1,
-                    daily_limit: inst.daily_message_limit,
-                    rotated: total > 1
-                };
-            }
-            if (!result.banned) {
-                // Unknown error (not a ban), try next node if available
-            }
+        if (!s || s.status !== 'connected') continue;
+
+        const result = await sendMsg(inst.instance_id, phone, message);
+        if (result.success) {
+            await incrementMessageCount(inst.instance_id);
+            return {
+                success: true,
+                instance_id: inst.instance_id,
+                instance_db_id: inst.id,
+                phone_number: inst.phone_number,
+                wa_message_id: result.key?.id || null,
+                rich: result.rich || false,
+                messages_sent_today: inst.messages_sent_today + 1,
+                daily_limit: inst.daily_message_limit,
+                strategy,
+                rotated: total > 1,
+                nextCursor: (instances.indexOf(inst) + 1) % total
+            };
         }
-        attempts++;
+        // Throttled, banned or other error — try the next instance
+        if (result.throttled) throttledWaits.push(result.retryAfterMs);
+        else failed = true;
+    }
+    if (throttledWaits.length && !failed) return { success: false, throttled: true, retryAfterMs: Math.min(...throttledWaits) };
+    return { success: false, throttled: false };
+}
+
+async function sendWithRotation(userId, phone, message) {
+    if (await findSuppression(userId, phone)) return SUPPRESSED_RESULT;
+    const instances = await getAvailableInstances(userId);
+    if (!instances.length) return { success: false, error: 'All personal instances at limit/banned/disconnected', all_exhausted: true };
+
+    const uId = String(userId);
+    const strategy = await getRotationStrategy(userId);
+    const result = await sendThroughInstances(instances, strategy, personalRoundRobinIndex.get(uId) || 0, phone, message);
+    if (result.success) {
+        // Move tracker forward for NEXT request
+        personalRoundRobinIndex.set(uId, result.nextCursor);
+        return result;
+    }
+    if (result.throttled) {
+        return { success: false, error: 'All personal instances are throttled by pacing', throttled: true, retryAfterMs: result.retryAfterMs, strategy };
     }
 
     // All active nodes failed
-    return { success: false, error: 'All personal instances failed during dispatch', all_exhausted: true };
+    return { success: false, error: 'All personal instances failed during dispatch', all_exhausted: true, strategy };
 }
 
-async function sendWithSharedRotation(phone, message) {
+// userId is who the send is for, so their own suppression list applies as well as the global one
+async function sendWithSharedRotation(phone, message, userId = null) {
+    if (await findSuppression(userId, phone)) return SUPPRESSED_RESULT;
     const instances = await getAvailableSharedInstances();
     if (!instances.length) return { success: false, error: 'No shared instances available', all_exhausted: true };
 
-    let attempts = 0;
-    const total = instances.length;
-
-    while (attempts < total) {
-        let currentIndex = (sharedRoundRobinIndex + attempts) % total;
-        const inst = instances[currentIndex];
-
-        const s = getSession(inst.instance_id);
-        if (s && s.status === 'connected') {
-            const result = await sendMsg(inst.instance_id, phone, message);
-            if (result.success) {
-                await incrementMessageCount(inst.instance_id);
-                // Move tracker forward for NEXT request
-                sharedRoundRobinIndex = (currentIndex + 1) % total;
-                return {
-                    success: true,
-                    instance_id: inst.instance_id,
-                    instance_db_id: inst.id,
-                    phone_number: inst.phone_number
-                };
-            }
-            if (!result.banned) {
-                // Unknown error, try next node
-            }
-        }
-        attempts++;
+    const result = await sendThroughInstances(instances, SHARED_ROTATION_STRATEGY, sharedRoundRobinIndex, phone, message);
+    if (result.success) {
+        sharedRoundRobinIndex = result.nextCursor;
+        return result;
+    }
+    if (result.throttled) {
+        return { success: false, error: 'All shared instances are throttled by pacing', throttled: true, retryAfterMs: result.retryAfterMs, strategy: SHARED_ROTATION_STRATEGY };
     }
 
-    return { success: false, error: 'All shared instances failed during dispatch', all_exhausted: true };
+    return { success: false, error: 'All shared instances failed during dispatch', all_exhausted: true, strategy: SHARED_ROTATION_STRATEGY };
 }
 
 // ═══════════════════════════════════════════════
-//  API ROUTES
+//  WHATSAPP NUMBER LOOKUP (onWhatsApp, cached)
 // ═══════════════════════════════════════════════
-app.get('/', (req, res) => res.json({ status: 'ok', service: 'OTPFlow WhatsApp', uptime: process.uptime() }));
-app.get('/health', (req, res) => res.json({ status: 'ok', sessions: Object.keys(getAllSessions()).length }));
+const WA_LOOKUP_ENABLED = process.env.WA_LOOKUP_ENABLED !== 'false';
+const WA_LOOKUP_TTL_MS = parseInt(process.env.WA_LOOKUP_TTL_SECONDS || '86400') * 1000;
+// Misses expire sooner — people install WhatsApp after failing a signup
+const WA_LOOKUP_NEGATIVE_TTL_MS = parseInt(process.env.WA_LOOKUP_NEGATIVE_TTL_SECONDS || '3600') * 1000;
+const WA_LOOKUP_CACHE_MAX = 50000;
 
-app.post('/init/:instanceId', async (req, res) => {
-    try {
-        await startSession(req.params.instanceId);
-        const s = await waitForQr(req.params.instanceId);
-        if (s?.qr) {
-            const qr = await QRCode.toDataURL(s.qr);
-            return res.json({ status: 'qr_ready', qr, instance_id: req.params.instanceId });
-        }
-        res.json({ status: s?.status || 'connecting', instance_id: req.params.instanceId });
-    } catch (err) { res.status(500).json({ error: err.message }); }
-});
+// e164 -> { exists, expiresAt }
+const waLookupCache = new Map();
 
-app.get('/qr/:instanceId', async (req, res) => {
-    try {
-        const { instanceId } = req.params;
-        let s = getSession(instanceId);
+function cacheLookup(e164, exists) {
+    if (waLookupCache.size >= WA_LOOKUP_CACHE_MAX) waLookupCache.delete(waLookupCache.keys().next().value);
+    waLookupCache.set(e164, { exists, expiresAt: Date.now() + (exists ? WA_LOOKUP_TTL_MS : WA_LOOKUP_NEGATIVE_TTL_MS) });
+}
 
-        if (!s) {
-            // No session at all — start fresh
-            await startSession(instanceId);
-            s = await waitForQr(instanceId, 12);
-        } else if (s.status === 'connecting' && !s.qr) {
-            // Session exists but no QR yet — wait a bit
-            s = await waitForQr(instanceId, 5);
-        } else if (s.status === 'error' || s.status === 'disconnected') {
-            // Dead session — restart
-            try { s.socket?.end(); } catch (e) { }
-            sessions.delete(instanceId);
-            await startSession(instanceId);
-            s = await waitForQr(instanceId, 12);
-        }
+// The caller's own numbers answer onWhatsApp first, then the company-shared pool — never another
+// customer's number. The check doesn't count against a daily limit.
+async function getLookupSocket(userId = null) {
+    const db = getPool();
+    const [rows] = await db.execute(
+        `SELECT instance_id FROM whatsapp_instances
+         WHERE status = 'connected' AND is_banned = 0 AND (is_company_shared = 1 OR user_id = ?)
+         ORDER BY (user_id = ?) DESC`,
+        [userId || 0, userId || 0]
+    );
+    for (const { instance_id: instanceId } of rows) {
+        const s = sessions.get(instanceId);
+        if (s?.status === 'connected' && s.socket) return s.socket;
+    }
+    return null;
+}
 
-        // Check for stale connecting (>60s without QR)
-        if (s && s.status === 'connecting' && !s.qr) {
-            const age = Date.now() - (s.createdAt || 0);
-            if (age > 60000) {
-                console.log(`[${instanceId}] Stale session detected (${Math.round(age / 1000)}s), forcing restart`);
-                try { s.socket?.end(); } catch (e) { }
-                sessions.delete(instanceId);
-                await startSession(instanceId);
-                s = await waitForQr(instanceId, 12);
-            }
-        }
+/**
+ * Check numbers against WhatsApp. Returns Map(e164 -> true | false | null),
+ * null meaning "unknown" (no connected instance, lookup disabled or the query failed).
+ */
+async function lookupWhatsApp(e164s, userId = null) {
+    const results = new Map();
+    const pending = [];
+    for (const e164 of e164s) {
+        const cached = waLookupCache.get(e164);
+        if (cached && cached.expiresAt > Date.now()) results.set(e164, cached.exists);
+        else pending.push(e164);
+    }
+    if (!pending.length) return results;
 
-        if (s?.status === 'connected') return res.json({ status: 'connected', phoneNumber: s.phoneNumber });
-        if (s?.qr) {
-            const qr = await QRCode.toDataURL(s.qr);
-            return res.json({ status: 'qr_ready', qr });
-        }
+    const socket = WA_LOOKUP_ENABLED ? await getLookupSocket(userId) : null;
+    if (!socket) {
+        for (const e164 of pending) results.set(e164, null);
+        return results;
+    }
 
-        // Return detailed status
-        const age = s ? Math.round((Date.now() - (s.createdAt || Date.now())) / 1000) : 0;
-        res.json({ status: s?.status || 'connecting', age_seconds: age });
+    try {
+        const found = await socket.onWhatsApp(...pending.map(toJid));
+        const existing = new Set((found || []).filter(r => r.exists).map(r => r.jid.split('@')[0]));
+        for (const e164 of pending) {
+            const exists = existing.has(e164.slice(1));
+            cacheLookup(e164, exists);
+            results.set(e164, exists);
+        }
+    } catch (err) {
+        console.error('[Lookup] onWhatsApp failed:', err.message);
+        for (const e164 of pending) results.set(e164, null);
+    }
+    return results;
+}
+
+async function isOnWhatsApp(e164, userId = null) {
+    return (await lookupWhatsApp([e164], userId)).get(e164);
+}
+
+// ═══════════════════════════════════════════════
+//  MESSAGE QUEUE (BullMQ on Redis)
+// ═══════════════════════════════════════════════
+// Sends are queued so a request that arrives during a reconnect waits and retries
+// with backoff instead of failing. Jobs that exhaust their retries go to the dead-letter queue.
+const QUEUE_ATTEMPTS = parseInt(process.env.QUEUE_ATTEMPTS || '5');
+const QUEUE_BACKOFF_MS = parseInt(process.env.QUEUE_BACKOFF_MS || '5000');
+const QUEUE_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY || '5');
+const REDIS_COMMAND_TIMEOUT_MS = parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS || '2000');
+
+let redis = null;
+let workerRedis = null;
+let outboundQueue = null;
+let deadLetterQueue = null;
+
+// Request-path client (queue producers, rate limits, key/value): bounded retries and a command
+// timeout, so a Redis outage fails the call instead of hanging the request
+function getRedis() {
+    if (!redis) {
+        redis = new IORedis(process.env.REDIS_URL || 'redis://127.0.0.1:6379', { maxRetriesPerRequest: 1, commandTimeout: REDIS_COMMAND_TIMEOUT_MS });
+        redis.on('error', (err) => console.error('[Redis] Error:', err.message));
+    }
+    return redis;
+}
+
+// BullMQ workers block on Redis and require maxRetriesPerRequest: null — never use this on a request path
+function getWorkerRedis() {
+    if (!workerRedis) {
+        workerRedis = new IORedis(process.env.REDIS_URL || 'redis://127.0.0.1:6379', { maxRetriesPerRequest: null });
+        workerRedis.on('error', (err) => console.error('[Redis] Worker connection error:', err.message));
+    }
+    return workerRedis;
+}
+
+function getOutboundQueue() {
+    if (!outboundQueue) outboundQueue = new Queue('otpflow-outbound', { connection: getRedis() });
+    return outboundQueue;
+}
+
+function getDeadLetterQueue() {
+    if (!deadLetterQueue) deadLetterQueue = new Queue('otpflow-dead-letter', { connection: getRedis() });
+    return deadLetterQueue;
+}
+
+async function updateMessageStatus(messageId, status, extra = {}) {
+    const db = getPool();
+    // A receipt may already have moved the message past 'sent'
+    const fields = [status === 'sent' ? "status = IF(status IN ('delivered','read'), status, ?)" : 'status = ?'];
+    const values = [status];
+    for (const [col, val] of Object.entries(extra)) { fields.push(`${col} = ?`); values.push(val); }
+    if (status === 'sent') fields.push('sent_at = NOW()');
+    values.push(messageId);
+    await db.execute(`UPDATE messages SET ${fields.join(', ')} WHERE message_id = ?`, values);
+}
+
+// Persist the message row, then hand the send to the queue.
+// routing: 'personal' (userId's instances), 'shared' (company pool) or 'instance' (one fixed instance)
+// Callers that debit the wallet pass their own messageId so the ledger entry and the message share it
+// fallback lists channels to try after WhatsApp (see channels.js); skipWhatsApp goes straight to them
+// rich is the interactive payload from richMessages.parseRichOptions() plus the code, or null.
+// media/mediaData come from mediaStore.validateMedia(); base64 bytes wait in MEDIA_DIR/uploads, local files stay put.
+// sendAt (from parseSchedule) stores the message as 'scheduled' and delays the job until then.
+// otpRender ({ template, options }) lets an OTP be re-issued with a fresh code; a scheduled OTP waits
+// with only that, and its code is generated when it is sent (issueQueuedOtp).
+async function enqueueMessage({ messageId = crypto.randomUUID(), kind = 'message', routing, userId = null, apiKeyId = null, instanceId = null, otpLogId = null, phone, text, walletCharge = null, fallback = [], email = null, subject = null, skipWhatsApp = false, rich = null, media = null, mediaData = null, sendAt = null, otpRender = null }) {
+    const db = getPool();
+    if (mediaData) media = { ...media, ...await mediaStore.saveUpload(messageId, mediaData) };
+    const deferCode = kind === 'otp' && !!sendAt && !!otpRender;
+    const jobData = {
+        messageId, kind, routing, userId, apiKeyId, instanceId, otpLogId, phone,
+        text: deferCode ? null : text,
+        walletCharge, fallback, email, subject, skipWhatsApp,
+        rich: deferCode && rich ? { ...rich, code: null } : rich,
+        media, otpRender, sendAt: sendAt ? sendAt.toISOString() : null
+    };
+    await db.execute(
+        `INSERT INTO messages (message_id, user_id, api_key_id, otp_log_id, routing_type, instance_id, phone_number, body, wallet_charge, fallback_channels,
+                               media_type, media_mimetype, media_filename, media_size, status, send_at, schedule_payload)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        // OTP bodies carry the plain code — only its hash is kept at rest
+        [messageId, userId, apiKeyId, otpLogId, routing, instanceId, phone, kind === 'otp' ? null : text, walletCharge, fallback.length ? fallback.join(',') : null,
+            media?.type || null, media?.mimetype || null, media?.filename || null, media?.size || null,
+            sendAt ? 'scheduled' : 'queued',
+            sendAt ? sendAt.toISOString().slice(0, 19).replace('T', ' ') : null,
+            sendAt ? JSON.stringify({ ...jobData, text: kind === 'otp' ? null : text, rich: kind === 'otp' && !deferCode ? null : jobData.rich }) : null]
+    );
+    const delayMs = sendAt ? Math.max(0, sendAt.getTime() - Date.now()) : 0;
+    await getOutboundQueue().add('send', jobData, { ...outboundJobOptions(messageId), delay: delayMs || undefined });
+    return messageId;
+}
+
+// ═══════════════════════════════════════════════
+//  SCHEDULED SENDS
+// ═══════════════════════════════════════════════
+const MAX_SCHEDULE_DAYS = parseInt(process.env.MAX_SCHEDULE_DAYS || '30');
+
+// `send_at` (ISO time) or `delay_seconds` from a request body -> { sendAt: Date|null } or { error }.
+// A send_at that has already passed just sends now.
+function parseSchedule(body) {
+    const { send_at: sendAtRaw, delay_seconds: delayRaw } = body;
+    const hasSendAt = sendAtRaw !== undefined && sendAtRaw !== null;
+    const hasDelay = delayRaw !== undefined && delayRaw !== null;
+    if (!hasSendAt && !hasDelay) return { sendAt: null };
+    if (hasSendAt && hasDelay) return { error: 'use either send_at or delay_seconds, not both' };
+
+    let sendAt;
+    if (hasDelay) {
+        const delay = Number(delayRaw);
+        if (!Number.isInteger(delay) || delay < 0) return { error: 'delay_seconds must be a non-negative integer' };
+        sendAt = new Date(Date.now() + delay * 1000);
+    } else {
+        sendAt = new Date(String(sendAtRaw));
+        if (isNaN(sendAt)) return { error: 'send_at must be an ISO 8601 timestamp' };
+    }
+    if (sendAt.getTime() - Date.now() > MAX_SCHEDULE_DAYS * 86400 * 1000) {
+        return { error: `messages can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+    }
+    return { sendAt: sendAt.getTime() > Date.now() ? sendAt : null };
+}
+
+// Delayed jobs survive restarts in Redis, but not a Redis that lost its data. Rebuild any missing
+// job from schedule_payload; an OTP without its template can't be rebuilt, so it fails and refunds.
+async function recoverScheduledMessages() {
+    const db = getPool();
+    const [rows] = await db.execute("SELECT message_id, user_id, wallet_charge, send_at, schedule_payload FROM messages WHERE status = 'scheduled'");
+    let restored = 0;
+    let lost = 0;
+    for (const row of rows) {
+        if (await getOutboundQueue().getJob(row.message_id)) continue;
+        const data = typeof row.schedule_payload === 'string' ? JSON.parse(row.schedule_payload) : row.schedule_payload;
+        if (!data || (data.kind === 'otp' && !data.otpRender)) {
+            await updateMessageStatus(row.message_id, 'failed', { failed_at: new Date(), last_error: 'Scheduled send was lost before it was due' });
+            if (row.wallet_charge) await walletRefund(row.user_id, row.message_id);
+            lost++;
+            continue;
+        }
+        const delay = Math.max(0, new Date(row.send_at).getTime() - Date.now());
+        await getOutboundQueue().add('send', data, { ...outboundJobOptions(row.message_id), delay: delay || undefined });
+        restored++;
+    }
+    if (restored || lost) console.log(`[Queue] Scheduled sends: ${restored} re-queued, ${lost} failed (not recoverable)`);
+}
+
+// ═══════════════════════════════════════════════
+//  QUIET HOURS
+// ═══════════════════════════════════════════════
+// Per-user hours (e.g. 21:00–08:00) in which non-OTP sends are held back, judged in the recipient's
+// local time: an explicit timezone, else the one for the number's calling code, else the rule's default.
+// A send that would land inside them is scheduled for the moment they end.
+
+async function getQuietHours(userId) {
+    if (!userId) return null;
+    const db = getPool();
+    const [rows] = await db.execute('SELECT start_minutes, end_minutes, default_timezone, include_otp FROM quiet_hours WHERE user_id = ?', [userId]);
+    return rows[0] || null;
+}
+
+function formatQuietHours(rule) {
+    if (!rule) return null;
+    return {
+        start: sendWindows.formatClock(rule.start_minutes),
+        end: sendWindows.formatClock(rule.end_minutes),
+        default_timezone: rule.default_timezone,
+        include_otp: !!rule.include_otp
+    };
+}
+
+// Body: { start: 'HH:MM', end: 'HH:MM', default_timezone?, include_otp? }
+async function saveQuietHours(userId, body) {
+    const parsed = sendWindows.parseWindow({ start: body.start, end: body.end, timezone: body.default_timezone });
+    if (parsed.error) return { error: parsed.error.replace(/^window/, 'quiet hours') };
+    const defaultTimeZone = body.default_timezone ? parsed.window.timeZone : null;
+    await getPool().execute(
+        `INSERT INTO quiet_hours (user_id, start_minutes, end_minutes, default_timezone, include_otp) VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE start_minutes = VALUES(start_minutes), end_minutes = VALUES(end_minutes),
+             default_timezone = VALUES(default_timezone), include_otp = VALUES(include_otp)`,
+        [userId, parsed.window.startMinutes, parsed.window.endMinutes, defaultTimeZone, body.include_otp ? 1 : 0]
+    );
+    return { quiet_hours: formatQuietHours(await getQuietHours(userId)) };
+}
+
+// A `timezone` from a request body: absent, or a valid IANA name
+function invalidTimeZone(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return typeof value === 'string' && sendWindows.isValidTimeZone(value) ? null : `unknown timezone '${value}'`;
+}
+
+// When one send may go out: { sendAt: Date|null, deferred, timeZone } — sendAt is the caller's own
+// schedule (or null for now), pushed to the end of quiet hours if it falls inside them
+async function applyQuietHours(userId, phone, { kind = 'message', timeZone = null, sendAt = null } = {}) {
+    const rule = await getQuietHours(userId);
+    if (!rule || (kind === 'otp' && !rule.include_otp)) return { sendAt, deferred: false, timeZone: null };
+
+    const zone = timeZone || timeZoneForPhone(phone) || rule.default_timezone || 'UTC';
+    // Sending is allowed from the end of quiet hours until they start again
+    const allowed = { startMinutes: rule.end_minutes, endMinutes: rule.start_minutes, timeZone: zone };
+    const due = sendAt || new Date();
+    const next = sendWindows.nextWindowStart(allowed, due);
+    if (next.getTime() === due.getTime()) return { sendAt, deferred: false, timeZone: zone };
+    return { sendAt: next, deferred: true, timeZone: zone };
+}
+
+// Fresh code for an OTP job that doesn't carry one: the otp_logs hash is replaced, so only the code
+// actually sent can verify, and a scheduled row becomes verifiable. restartTtl starts its TTL now
+// (scheduled sends); otherwise the original expiry stands and an expired OTP isn't re-issued. Returns the job data with the code filled in,
+// or null when the OTP was already verified or has expired.
+async function issueQueuedOtp(data, { restartTtl = true } = {}) {
+    const { template, options } = data.otpRender;
+    const { code, hashedOtp, text } = otp.buildOtpMessage(template, options);
+    const expiresAt = new Date(Date.now() + options.ttlSeconds * 1000).toISOString().slice(0, 19).replace('T', ' ');
+    const [result] = await getPool().execute(
+        restartTtl
+            ? 'UPDATE otp_logs SET hashed_otp = ?, expires_at = ?, pending_send = 0 WHERE id = ? AND verified_at IS NULL'
+            : 'UPDATE otp_logs SET hashed_otp = ?, pending_send = 0 WHERE id = ? AND verified_at IS NULL AND expires_at > NOW()',
+        restartTtl ? [hashedOtp, expiresAt, data.otpLogId] : [hashedOtp, data.otpLogId]
+    );
+    if (!result.affectedRows) return null;
+    return { ...data, text, rich: data.rich ? { ...data.rich, code } : null };
+}
+
+async function cancelScheduledMessage(messageId, ownerId = null) {
+    const db = getPool();
+    const [rows] = await db.execute(
+        `SELECT m.user_id, m.otp_log_id, m.wallet_charge, m.media_type FROM messages m
+         LEFT JOIN whatsapp_instances w ON w.instance_id = m.instance_id
+         WHERE m.message_id = ?${ownerId === null ? '' : ` AND ${MESSAGE_OWNER_CLAUSE}`}`,
+        ownerId === null ? [messageId] : [messageId, ownerId, ownerId]
+    );
+    if (!rows.length) return { status: 404, error: 'Message not found' };
+    const msg = rows[0];
+
+    const [result] = await db.execute("UPDATE messages SET status = 'cancelled' WHERE message_id = ? AND status = 'scheduled'", [messageId]);
+    if (!result.affectedRows) return { status: 409, error: 'Message is no longer scheduled' };
+
+    // A job the worker already picked up sees the cancelled status and stops
+    const job = await getOutboundQueue().getJob(messageId);
+    if (job) await job.remove().catch(err => console.log(`[Queue] Could not remove job ${messageId}: ${err.message}`));
+    if (msg.wallet_charge) await walletRefund(msg.user_id, messageId);
+    if (msg.media_type) await mediaStore.removeUpload(messageId);
+    // The code was never sent — retire it without an otp.expired event
+    if (msg.otp_log_id) await db.execute('UPDATE otp_logs SET expires_at = NOW(), expired_notified_at = NOW() WHERE id = ?', [msg.otp_log_id]);
+    return { cancelled: true };
+}
+
+async function loadQueuedMedia(media) {
+    try {
+        return { ...media, data: await mediaStore.readLocalMedia(media) };
+    } catch (err) {
+        throw new Error(err.code === 'ENOENT' ? 'Attachment is no longer available' : err.message);
+    }
+}
+
+function outboundJobOptions(jobId) {
+    return {
+        jobId,
+        attempts: QUEUE_ATTEMPTS,
+        backoff: { type: 'exponential', delay: QUEUE_BACKOFF_MS },
+        removeOnComplete: true,
+        removeOnFail: true
+    };
+}
+
+// Interactive sends keep their job payload — minus any OTP code — for a while: if WhatsApp reports the
+// message as undeliverable (an old client that can't render it), it is re-sent once as plain text.
+const RICH_FALLBACK_TTL_SECONDS = 3600;
+
+function richFallbackKey(instanceId, waMessageId) {
+    return `otpflow:rich-fallback:${instanceId}:${waMessageId}`;
+}
+
+async function resendAsPlainText(instanceId, waMessageId) {
+    const raw = await getRedis().getdel(richFallbackKey(instanceId, waMessageId));
+    if (!raw) return false;
+    let data = JSON.parse(raw);
+    // An OTP goes out with a fresh code, and only while the original one would still be valid
+    if (data.kind === 'otp') {
+        data = data.otpRender ? await issueQueuedOtp(data, { restartTtl: false }) : null;
+        if (!data) return false;
+    }
+    console.log(`[Queue] Message ${data.messageId} was rejected as interactive — re-sending as plain text`);
+    await updateMessageStatus(data.messageId, 'retrying', { last_error: 'Interactive message undeliverable, re-sending as plain text' });
+    await getOutboundQueue().add('send', { ...data, rich: null, sendAt: null }, outboundJobOptions(`${data.messageId}-plain`));
+    return true;
+}
+
+// SMS/email adapters from the environment — only these can appear in a fallback list
+const fallbackChannels = channels.createChannelsFromEnv();
+
+// WhatsApp as a channel: the message's routing decides which instances the rotation may use.
+// A throttled result stops the fallback walk unless deferThrottled is off — then it counts as a failure.
+function whatsappChannel({ routing, userId, instanceId }, { deferThrottled = true } = {}) {
+    const send = async ({ to, text, rich, media }) => {
+        const content = media ? { text, media } : (rich ? { text, rich } : text);
+        if (routing === 'shared') return sendWithSharedRotation(to, content, userId);
+        if (routing !== 'instance') return sendWithRotation(userId, to, content);
+        const result = await sendMsg(instanceId, to, content);
+        if (result.success) {
+            await incrementMessageCount(instanceId);
+            result.instance_id = instanceId;
+            result.wa_message_id = result.key?.id || null;
+        }
+        return result;
+    };
+    return {
+        name: 'whatsapp',
+        async send(message) {
+            const result = await send(message);
+            return result.throttled && !deferThrottled ? { ...result, throttled: false } : result;
+        }
+    };
+}
+
+// Pacing only delays a message: the job is put back until a slot frees up, without using an attempt.
+// After PACING_MAX_DEFERRALS of those, a throttled WhatsApp counts as failed and the fallbacks run.
+const PACING_MAX_DEFERRALS = parseInt(process.env.PACING_MAX_DEFERRALS || '20');
+const PACING_MIN_DEFER_MS = 5000;
+
+async function recordMessageAttempt(messageId, attempt, channel, result, durationMs) {
+    const db = getPool();
+    await db.execute(
+        `INSERT INTO message_attempts (message_id, attempt, channel, provider, success, provider_message_id, error, duration_ms)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            messageId, attempt, channel.name,
+            channel.name === 'whatsapp' ? (result.instance_id || null) : channel.provider,
+            result.success ? 1 : 0,
+            channel.name === 'whatsapp' ? (result.wa_message_id || null) : (result.providerMessageId || null),
+            result.success ? null : String(result.error || 'Send failed').slice(0, 500),
+            durationMs
+        ]
+    );
+}
+
+// Which channel accepted a job's message, remembered per job (a plain-text resend is a new job)
+const DELIVERED_TTL_SECONDS = 24 * 3600;
+
+function deliveredKey(jobId) {
+    return `otpflow:delivered:${jobId}`;
+}
+
+async function markDelivered(job, channel, result) {
+    const { instance_id, wa_message_id, strategy, phone_number, rotated, rich, providerMessageId } = result;
+    await getRedis().set(deliveredKey(job.id), JSON.stringify({ channel, result: { success: true, instance_id, wa_message_id, strategy, phone_number, rotated, rich, providerMessageId } }), 'EX', DELIVERED_TTL_SECONDS)
+        .catch(err => console.error(`[Queue] Failed to mark ${job.data.messageId} delivered:`, err.message));
+}
+
+// Redis first; the attempts table covers a Redis that lost the marker
+async function deliveredChannel(job) {
+    const raw = await getRedis().get(deliveredKey(job.id)).catch(() => null);
+    if (raw) return JSON.parse(raw);
+    const [rows] = await getPool().execute(
+        `SELECT channel, provider, provider_message_id FROM message_attempts
+         WHERE message_id = ? AND success = 1 AND created_at >= ? ORDER BY id DESC LIMIT 1`,
+        [job.data.messageId, new Date(job.timestamp).toISOString().slice(0, 19).replace('T', ' ')]
+    );
+    if (!rows.length) return null;
+    const r = rows[0];
+    return {
+        channel: r.channel,
+        result: r.channel === 'whatsapp'
+            ? { success: true, instance_id: r.provider, wa_message_id: r.provider_message_id }
+            : { success: true, providerMessageId: r.provider_message_id }
+    };
+}
+
+async function processOutboundJob(job, token) {
+    const { messageId, phone } = job.data;
+    const attempt = job.attemptsMade + 1;
+
+    // Claim a scheduled message — either this or a cancel wins, never both
+    if (job.data.sendAt) {
+        const db = getPool();
+        const [claimed] = await db.execute("UPDATE messages SET status = 'sending', attempts = ? WHERE message_id = ? AND status = 'scheduled'", [attempt, messageId]);
+        if (!claimed.affectedRows) {
+            const [rows] = await db.execute('SELECT status FROM messages WHERE message_id = ?', [messageId]);
+            if (!rows.length || rows[0].status === 'cancelled') return { cancelled: true };
+        }
+    }
+
+    // Suppressed after it was queued: no channel may send it, and retrying can't help
+    const suppression = await findSuppression(job.data.userId, phone);
+    if (suppression) {
+        await updateMessageStatus(messageId, 'failed', { attempts: attempt, failed_at: new Date(), last_error: `recipient_suppressed (${suppression.scope})` });
+        if (job.data.walletCharge) await walletRefund(job.data.userId, messageId);
+        return { suppressed: true };
+    }
+
+    // A scheduled OTP gets its code now; retries of this job reuse it
+    if (job.data.kind === 'otp' && !job.data.text && job.data.otpRender) {
+        const issued = await issueQueuedOtp(job.data);
+        if (!issued) {
+            await updateMessageStatus(messageId, 'failed', { attempts: attempt, failed_at: new Date(), last_error: 'OTP was verified before it was sent' });
+            if (job.data.walletCharge) await walletRefund(job.data.userId, messageId);
+            return { skipped: true };
+        }
+        await job.updateData(issued);
+    }
+    const { text } = job.data;
+    await updateMessageStatus(messageId, 'sending', { attempts: attempt });
+    // A channel that already accepted this job's message isn't asked again — a retry after a later
+    // failure (a DB error, a crash) only finishes the bookkeeping
+    const delivered = await deliveredChannel(job);
+    let outcome;
+    if (delivered) {
+        outcome = { success: true, channel: delivered.channel, result: delivered.result, errors: [] };
+    } else {
+        // Fallback channels only carry the text
+        const media = job.data.media ? await loadQueuedMedia(job.data.media) : null;
+
+        // WhatsApp first (unless the number isn't on it), then the fallbacks in order — every job attempt walks the whole list
+        const deferThrottled = (job.data.throttleDeferrals || 0) < PACING_MAX_DEFERRALS;
+        const chain = job.data.skipWhatsApp ? [] : [whatsappChannel(job.data, { deferThrottled })];
+        for (const name of job.data.fallback || []) {
+            if (fallbackChannels[name]) chain.push(fallbackChannels[name]);
+        }
+        outcome = await channels.sendWithFallback(
+            chain,
+            { to: phone, email: job.data.email, text, subject: job.data.subject, rich: job.data.rich, media },
+            async (channel, result, durationMs) => {
+                if (result.success) await markDelivered(job, channel.name, result);
+                await recordMessageAttempt(messageId, attempt, channel, result, durationMs)
+                    .catch(err => console.error(`[Queue] Failed to record ${channel.name} attempt for ${messageId}:`, err.message));
+            }
+        );
+    }
+
+    if (outcome.throttled) {
+        const delayMs = Math.max(outcome.result.retryAfterMs || 0, PACING_MIN_DEFER_MS);
+        await updateMessageStatus(messageId, 'retrying', { last_error: String(outcome.result.error).slice(0, 500) });
+        await job.updateData({ ...job.data, throttleDeferrals: (job.data.throttleDeferrals || 0) + 1 });
+        await job.moveToDelayed(Date.now() + delayMs, token);
+        throw new DelayedError();
+    }
+
+    if (!outcome.success) {
+        const error = outcome.errors.join('; ') || 'Send failed';
+        await updateMessageStatus(messageId, 'retrying', { last_error: error.slice(0, 500) });
+        throw new Error(error);
+    }
+
+    const result = outcome.result;
+    if (outcome.channel === 'whatsapp') {
+        await updateMessageStatus(messageId, 'sent', {
+            channel: 'whatsapp',
+            instance_id: result.instance_id,
+            wa_message_id: result.wa_message_id,
+            selection_strategy: result.strategy || null,
+            last_error: null
+        });
+        if (result.rich && result.wa_message_id) {
+            const resend = { ...job.data, text: job.data.kind === 'otp' ? null : job.data.text, rich: null };
+            await getRedis().set(richFallbackKey(result.instance_id, result.wa_message_id), JSON.stringify(resend), 'EX', RICH_FALLBACK_TTL_SECONDS);
+        }
+        if (result.wa_message_id) {
+            await replayPendingReceipts(result.instance_id, result.wa_message_id)
+                .catch(err => console.error(`[Queue] Failed to apply early receipts for ${messageId}:`, err.message));
+        }
+    } else {
+        await updateMessageStatus(messageId, 'sent', { channel: outcome.channel, last_error: null });
+    }
+    if (job.data.media?.upload) await mediaStore.removeUpload(messageId);
+    if (job.data.kind === 'otp') {
+        emitEvent('otp.sent', job.data.userId, job.data.apiKeyId, { message_id: messageId, otp_log_id: job.data.otpLogId, phone, channel: outcome.channel });
+    }
+    return { channel: outcome.channel, instance_id: result.instance_id || null, phone_number: result.phone_number || null, rotated: result.rotated || false };
+}
+
+// Final failure: park the job in the dead-letter queue, mark the message failed and refund wallet sends
+async function handleDeadJob(job, err) {
+    const { messageId, kind, userId, walletCharge } = job.data;
+    try {
+        await getDeadLetterQueue().add('dead', {
+            ...job.data,
+            text: kind === 'otp' ? null : job.data.text,
+            rich: kind === 'otp' ? null : job.data.rich,
+            error: err.message,
+            attemptsMade: job.attemptsMade,
+            failedAt: new Date().toISOString()
+        }, { jobId: messageId });
+        await updateMessageStatus(messageId, 'failed', { last_error: String(err.message).slice(0, 500) });
+        if (walletCharge) await walletRefund(userId, messageId);
+        if (job.data.media?.upload) await mediaStore.removeUpload(messageId);
+        console.log(`[Queue] Message ${messageId} dead-lettered after ${job.attemptsMade} attempts: ${err.message}`);
+    } catch (e) {
+        console.error(`[Queue] Failed to dead-letter ${messageId}:`, e.message);
+    }
+}
+
+function startQueueWorkers() {
+    const worker = new Worker('otpflow-outbound', processOutboundJob, {
+        connection: getWorkerRedis(),
+        concurrency: QUEUE_CONCURRENCY
+    });
+    worker.on('failed', (job, err) => {
+        if (!job) return;
+        if (job.attemptsMade >= (job.opts.attempts || 1)) handleDeadJob(job, err);
+        else console.log(`[Queue] Message ${job.data.messageId} attempt ${job.attemptsMade} failed: ${err.message}`);
+    });
+    worker.on('error', (err) => console.error('[Queue] Worker error:', err.message));
+    console.log(`[Queue] Outbound worker started (concurrency ${QUEUE_CONCURRENCY})`);
+    return worker;
+}
+
+// ═══════════════════════════════════════════════
+//  DELIVERY RECEIPTS
+// ═══════════════════════════════════════════════
+// proto.WebMessageInfo.Status: 0 ERROR, 1 PENDING, 2 SERVER_ACK, 3 DELIVERY_ACK, 4 READ, 5 PLAYED
+const WA_STATUS_TO_STATE = { 0: 'failed', 2: 'sent', 3: 'delivered', 4: 'read', 5: 'read' };
+
+// Receipts only ever move a message forward: sent -> delivered -> read
+async function recordReceipt(instanceId, waMessageId, state, at = new Date()) {
+    const db = getPool();
+    const ts = at.toISOString().slice(0, 19).replace('T', ' ');
+
+    // First delivery (or read, which implies delivery) of an OTP fires otp.delivered. Only the receipt
+    // whose conditional UPDATE sets delivered_at emits, so a delivery and a read racing fire it once.
+    if (state === 'delivered' || state === 'read') {
+        const [first] = await db.execute(
+            'UPDATE messages SET delivered_at = ? WHERE wa_message_id = ? AND instance_id = ? AND delivered_at IS NULL',
+            [ts, waMessageId, instanceId]
+        );
+        const [rows] = first.affectedRows === 1 ? await db.execute(
+            'SELECT message_id, user_id, api_key_id, otp_log_id, phone_number FROM messages WHERE wa_message_id = ? AND instance_id = ?',
+            [waMessageId, instanceId]
+        ) : [[]];
+        const msg = rows[0];
+        if (msg?.otp_log_id) {
+            emitEvent('otp.delivered', msg.user_id, msg.api_key_id, { message_id: msg.message_id, otp_log_id: msg.otp_log_id, phone: msg.phone_number, delivered_at: at.toISOString() });
+        }
+    }
+
+    let sql;
+    let values;
+    if (state === 'delivered') {
+        sql = `UPDATE messages SET delivered_at = COALESCE(delivered_at, ?),
+                   status = IF(status IN ('sending','retrying','sent'), 'delivered', status)
+               WHERE wa_message_id = ? AND instance_id = ?`;
+        values = [ts, waMessageId, instanceId];
+    } else if (state === 'read') {
+        sql = `UPDATE messages SET delivered_at = COALESCE(delivered_at, ?), read_at = COALESCE(read_at, ?),
+                   status = IF(status = 'failed', status, 'read')
+               WHERE wa_message_id = ? AND instance_id = ?`;
+        values = [ts, ts, waMessageId, instanceId];
+    } else if (state === 'failed') {
+        if (await resendAsPlainText(instanceId, waMessageId)) return;
+        sql = `UPDATE messages SET failed_at = COALESCE(failed_at, ?), status = 'failed', last_error = 'WhatsApp reported delivery error'
+               WHERE wa_message_id = ? AND instance_id = ? AND status NOT IN ('delivered','read')`;
+        values = [ts, waMessageId, instanceId];
+    } else {
+        return; // 'sent' is recorded by the queue worker
+    }
+    const [result] = await db.execute(sql, values);
+    // The receipt beat the worker's write of wa_message_id — hold it until the message row has the id
+    if (!result.affectedRows) {
+        const key = pendingReceiptKey(instanceId, waMessageId);
+        await getRedis().multi().hset(key, state, at.toISOString()).expire(key, PENDING_RECEIPT_TTL_SECONDS).exec();
+    }
+}
+
+// Receipts for ids no message row has yet; unrelated ones (sends made outside the service) just expire
+const PENDING_RECEIPT_TTL_SECONDS = 600;
+
+function pendingReceiptKey(instanceId, waMessageId) {
+    return `otpflow:receipt:${instanceId}:${waMessageId}`;
+}
+
+async function replayPendingReceipts(instanceId, waMessageId) {
+    const key = pendingReceiptKey(instanceId, waMessageId);
+    const [[, pending]] = await getRedis().multi().hgetall(key).del(key).exec();
+    for (const state of ['delivered', 'read', 'failed']) {
+        if (pending?.[state]) await recordReceipt(instanceId, waMessageId, state, new Date(pending[state]));
+    }
+}
+
+function handleMessageUpdates(instanceId, updates) {
+    for (const { key, update } of updates) {
+        if (!key?.fromMe || !key.id || update?.status === undefined || update.status === null) continue;
+        const state = WA_STATUS_TO_STATE[update.status];
+        if (!state) continue;
+        recordReceipt(instanceId, key.id, state).catch(err =>
+            console.error(`[${instanceId}] Failed to record ${state} for ${key.id}:`, err.message)
+        );
+    }
+}
+
+function handleMessageReceipts(instanceId, receipts) {
+    for (const { key, receipt } of receipts) {
+        if (!key?.fromMe || !key.id || !receipt) continue;
+        const readTs = Number(receipt.readTimestamp || receipt.playedTimestamp || 0);
+        const deliveredTs = Number(receipt.receiptTimestamp || 0);
+        const state = readTs ? 'read' : (deliveredTs ? 'delivered' : null);
+        if (!state) continue;
+        recordReceipt(instanceId, key.id, state, new Date((readTs || deliveredTs) * 1000)).catch(err =>
+            console.error(`[${instanceId}] Failed to record receipt for ${key.id}:`, err.message)
+        );
+    }
+}
+
+// ═══════════════════════════════════════════════
+//  SUPPRESSION LIST
+// ═══════════════════════════════════════════════
+// Numbers that must not be messaged. user_id = GLOBAL_SUPPRESSION_USER_ID holds the global list,
+// which applies to every user. Every send path checks it before an instance or the wallet is touched.
+const GLOBAL_SUPPRESSION_USER_ID = 0;
+const SUPPRESSED_RESULT = { success: false, error: 'Recipient is on the suppression list', code: 'recipient_suppressed', suppressed: true };
+
+// The matching entry ({ scope: 'global' | 'user', reason, source, created_at }) or null
+async function findSuppression(userId, phone) {
+    const db = getPool();
+    const [rows] = await db.execute(
+        `SELECT user_id, reason, source, created_at FROM suppressions
+         WHERE phone_number = ? AND user_id IN (?, ?) ORDER BY user_id ASC LIMIT 1`,
+        [phone, GLOBAL_SUPPRESSION_USER_ID, userId || GLOBAL_SUPPRESSION_USER_ID]
+    );
+    if (!rows.length) return null;
+    const { user_id, ...entry } = rows[0];
+    return { scope: user_id === GLOBAL_SUPPRESSION_USER_ID ? 'global' : 'user', ...entry };
+}
+
+function suppressedResponse(res, phone, entry) {
+    return res.status(422).json({ error: 'recipient is on the suppression list', code: 'recipient_suppressed', scope: entry.scope, phone });
+}
+
+async function addSuppression(userId, phone, reason = null, source = 'manual') {
+    const db = getPool();
+    await db.execute(
+        `INSERT INTO suppressions (user_id, phone_number, reason, source) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE reason = VALUES(reason), source = VALUES(source)`,
+        [userId, phone, reason ? String(reason).slice(0, 255) : null, source]
+    );
+}
+
+// ═══════════════════════════════════════════════
+//  INBOUND MESSAGES & OPT-OUT KEYWORDS
+// ═══════════════════════════════════════════════
+// Replies are stored per instance and forwarded to the user who last messaged that number from
+// the instance (shared numbers serve many users). STOP/START replies maintain the suppressions list.
+
+// { userId, apiKeyId } a reply belongs to — personal instances fall back to their owner
+async function resolveReplyOwner(instanceId, phone) {
+    const db = getPool();
+    const [sent] = await db.execute(
+        'SELECT user_id, api_key_id FROM messages WHERE instance_id = ? AND phone_number = ? AND user_id IS NOT NULL ORDER BY id DESC LIMIT 1',
+        [instanceId, phone]
+    );
+    if (sent.length) return { userId: sent[0].user_id, apiKeyId: sent[0].api_key_id };
+    const [instances] = await db.execute('SELECT user_id, is_company_shared FROM whatsapp_instances WHERE instance_id = ?', [instanceId]);
+    if (instances.length && !instances[0].is_company_shared) return { userId: instances[0].user_id, apiKeyId: null };
+    return { userId: null, apiKeyId: null };
+}
+
+// START only lifts opt-outs the recipient made themselves, never ones added by the user
+async function applyKeyword(userId, phone, action, body) {
+    const db = getPool();
+    if (action === 'opt_out') {
+        // Keeps an existing manual entry (and its reason) as it is
+        await db.execute(
+            `INSERT INTO suppressions (user_id, phone_number, reason, source) VALUES (?, ?, ?, 'keyword')
+             ON DUPLICATE KEY UPDATE id = id`,
+            [userId, phone, `Replied "${String(body).trim().slice(0, 200)}"`]
+        );
+    } else if (action === 'opt_in') {
+        await db.execute("DELETE FROM suppressions WHERE user_id = ? AND phone_number = ? AND source = 'keyword'", [userId, phone]);
+    }
+    console.log(`[Inbound] ${phone} ${action === 'opt_out' ? 'opted out of' : 'opted back in to'} messages from user ${userId}`);
+}
+
+async function recordInbound(instanceId, msg) {
+    const phone = inbound.senderPhone(msg.key.remoteJid);
+    if (!phone || !msg.key.id) return; // groups, broadcasts, status updates
+
+    const db = getPool();
+    const body = inbound.extractText(msg.message);
+    const keywordAction = inbound.matchKeyword(body);
+    const owner = await resolveReplyOwner(instanceId, phone);
+    const ts = msg.messageTimestamp;
+    const receivedAt = ts ? new Date((typeof ts === 'object' ? ts.toNumber() : Number(ts)) * 1000) : new Date();
+
+    const [result] = await db.execute(
+        `INSERT IGNORE INTO inbound_messages (instance_id, user_id, wa_message_id, phone_number, push_name, message_type, body, keyword_action, received_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [instanceId, owner.userId, msg.key.id, phone, msg.pushName || null, inbound.messageType(msg.message), body, keywordAction,
+            receivedAt.toISOString().slice(0, 19).replace('T', ' ')]
+    );
+    if (!result.affectedRows) return; // already stored — Baileys can deliver the same message twice
+
+    if (owner.userId && keywordAction) await applyKeyword(owner.userId, phone, keywordAction, body);
+    emitEvent('message.received', owner.userId, owner.apiKeyId, {
+        id: result.insertId,
+        instance_id: instanceId,
+        phone,
+        push_name: msg.pushName || null,
+        message_type: inbound.messageType(msg.message),
+        body,
+        keyword_action: keywordAction,
+        received_at: receivedAt.toISOString()
+    });
+}
+
+function handleInboundMessages(instanceId, { messages, type }) {
+    if (type !== 'notify') return; // 'append' is history sync, not new replies
+    for (const msg of messages || []) {
+        if (msg.key?.fromMe || !msg.message) continue;
+        recordInbound(instanceId, msg).catch(err =>
+            console.error(`[${instanceId}] Failed to record inbound ${msg.key?.id}:`, err.message)
+        );
+    }
+}
+
+// ═══════════════════════════════════════════════
+//  WALLET LEDGER
+// ═══════════════════════════════════════════════
+// Every balance change is one transaction: lock the user row, change the balance, write the ledger entry.
+// uniq_message_entry allows one debit and one refund per message, so refunds can't be paid twice.
+async function withTransaction(fn) {
+    const conn = await getPool().getConnection();
+    try {
+        await conn.beginTransaction();
+        const result = await fn(conn);
+        await conn.commit();
+        return result;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+async function lockBalance(conn, userId) {
+    const [rows] = await conn.execute('SELECT wallet_balance FROM users WHERE id = ? FOR UPDATE', [userId]);
+    if (!rows.length) throw new Error('User not found');
+    return parseFloat(rows[0].wallet_balance);
+}
+
+async function applyWalletEntry(conn, userId, type, amount, balanceAfter, messageId = null, reference = null) {
+    await conn.execute('UPDATE users SET wallet_balance = ? WHERE id = ?', [balanceAfter.toFixed(2), userId]);
+    await conn.execute(
+        'INSERT INTO wallet_transactions (user_id, type, amount, balance_after, message_id, reference) VALUES (?, ?, ?, ?, ?, ?)',
+        [userId, type, amount.toFixed(2), balanceAfter.toFixed(2), messageId, reference]
+    );
+}
+
+// Returns { success, balance } — success is false when the balance can't cover the amount
+async function walletDebit(userId, amount, messageId) {
+    return withTransaction(async (conn) => {
+        const balance = await lockBalance(conn, userId);
+        if (balance < amount) return { success: false, balance };
+        await applyWalletEntry(conn, userId, 'debit', amount, balance - amount, messageId);
+        return { success: true, balance: balance - amount };
+    });
+}
+
+// Refund the debit recorded for a message. Safe to call more than once.
+async function walletRefund(userId, messageId) {
+    try {
+        return await withTransaction(async (conn) => {
+            const balance = await lockBalance(conn, userId);
+            const [debits] = await conn.execute(
+                `SELECT amount FROM wallet_transactions WHERE user_id = ? AND message_id = ? AND type = 'debit'`,
+                [userId, messageId]
+            );
+            if (!debits.length) return { success: false, balance };
+            const amount = parseFloat(debits[0].amount);
+            await applyWalletEntry(conn, userId, 'refund', amount, balance + amount, messageId);
+            return { success: true, balance: balance + amount };
+        });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') return { success: false, already_refunded: true };
+        throw err;
+    }
+}
+
+async function walletTopup(userId, amount, reference) {
+    return withTransaction(async (conn) => {
+        const balance = await lockBalance(conn, userId);
+        await applyWalletEntry(conn, userId, 'topup', amount, balance + amount, null, reference);
+        return { success: true, balance: balance + amount };
+    });
+}
+
+// Refund debits whose send never happened: the message failed without ever leaving the service, or
+// a crash lost it before it was queued. One a channel accepted (sent_at or a provider id set) stays
+// charged even if a later receipt marks it failed.
+async function reconcileWalletRefunds() {
+    const db = getPool();
+    const [rows] = await db.execute(
+        `SELECT t.user_id, t.message_id FROM wallet_transactions t
+         LEFT JOIN messages m ON m.message_id = t.message_id
+         LEFT JOIN wallet_transactions r ON r.message_id = t.message_id AND r.type = 'refund'
+         WHERE t.type = 'debit' AND r.id IS NULL
+           AND (m.id IS NULL OR (m.status = 'failed' AND m.sent_at IS NULL AND m.wa_message_id IS NULL
+                AND NOT EXISTS (SELECT 1 FROM message_attempts a WHERE a.message_id = m.message_id AND a.success = 1)))
+           AND t.created_at < DATE_SUB(NOW(), INTERVAL 10 MINUTE)
+         LIMIT 100`
+    );
+    for (const r of rows) {
+        const result = await walletRefund(r.user_id, r.message_id);
+        if (result.success) console.log(`[Wallet] Reconciled refund for message ${r.message_id} (user ${r.user_id})`);
+    }
+}
+
+// ═══════════════════════════════════════════════
+//  SERVICE AUTH (management routes)
+// ═══════════════════════════════════════════════
+// Management routes accept either SERVICE_TOKEN (the website backend) or a user token minted from it.
+// A service caller can narrow itself to one user with X-User-Id; user tokens are always narrowed.
+const SERVICE_TOKEN = process.env.SERVICE_TOKEN || null;
+
+function requireServiceAuth(req, res, next) {
+    if (!SERVICE_TOKEN) {
+        return res.status(503).json({ error: 'Management routes are disabled until SERVICE_TOKEN is configured' });
+    }
+    const authHeader = req.headers.authorization;
+    const credential = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    const caller = serviceAuth.verifyCredential(SERVICE_TOKEN, credential);
+    if (!caller) return res.status(401).json({ error: 'Missing or invalid service credentials' });
+
+    if (caller.admin && req.headers['x-user-id'] !== undefined) {
+        const userId = parseInt(req.headers['x-user-id'], 10);
+        if (!Number.isInteger(userId)) return res.status(400).json({ error: 'X-User-Id must be a numeric user id' });
+        caller.userId = userId;
+    }
+    req.caller = caller;
+    next();
+}
+
+// Unscoped service callers may act for anyone
+function canActForUser(req, userId) {
+    return req.caller.userId === undefined || String(req.caller.userId) === String(userId);
+}
+
+async function requireInstanceAccess(req, res, next) {
+    if (req.caller.userId === undefined) return next();
+    try {
+        const db = getPool();
+        const [rows] = await db.execute('SELECT user_id FROM whatsapp_instances WHERE instance_id = ?', [req.params.instanceId]);
+        if (!rows.length) return res.status(404).json({ error: 'Instance not found' });
+        if (!canActForUser(req, rows[0].user_id)) return res.status(403).json({ error: 'Instance belongs to another user' });
+        next();
+    } catch (err) { res.status(500).json({ error: err.message }); }
+}
+
+// Mint a short-lived user token for the dashboard: { user_id, ttl_seconds }
+app.post('/auth/user-token', requireServiceAuth, (req, res) => {
+    if (!req.caller.admin) return res.status(403).json({ error: 'Only the service token can mint user tokens' });
+    const userId = parseInt(req.body.user_id, 10);
+    const ttl = Math.min(Math.max(parseInt(req.body.ttl_seconds) || 3600, 60), 86400);
+    if (!Number.isInteger(userId)) return res.status(400).json({ error: 'user_id required' });
+    res.json({ token: serviceAuth.signUserToken(SERVICE_TOKEN, userId, ttl), expires_in: ttl });
+});
+
+// ═══════════════════════════════════════════════
+//  API ROUTES
+// ═══════════════════════════════════════════════
+app.get('/', (req, res) => res.json({ status: 'ok', service: 'OTPFlow WhatsApp', uptime: process.uptime() }));
+app.get('/health', (req, res) => res.json({ status: 'ok', sessions: Object.keys(getAllSessions()).length }));
+
+app.post('/init/:instanceId', requireServiceAuth, requireInstanceAccess, async (req, res) => {
+    try {
+        await startSession(req.params.instanceId);
+        const s = await waitForQr(req.params.instanceId);
+        if (s?.qr) {
+            const qr = await QRCode.toDataURL(s.qr);
+            return res.json({ status: 'qr_ready', qr, instance_id: req.params.instanceId });
+        }
+        res.json({ status: s?.status || 'connecting', instance_id: req.params.instanceId });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/qr/:instanceId', requireServiceAuth, requireInstanceAccess, async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        let s = getSession(instanceId);
+
+        if (!s) {
+            // No session at all — start fresh
+            await startSession(instanceId);
+            s = await waitForQr(instanceId, 12);
+        } else if (s.status === 'connecting' && !s.qr) {
+            // Session exists but no QR yet — wait a bit
+            s = await waitForQr(instanceId, 5);
+        } else if (s.status === 'error' || s.status === 'disconnected') {
+            // Dead session — restart
+            try { s.socket?.end(); } catch (e) { }
+            sessions.delete(instanceId);
+            await startSession(instanceId);
+            s = await waitForQr(instanceId, 12);
+        }
+
+        // Check for stale connecting (>60s without QR)
+        if (s && s.status === 'connecting' && !s.qr) {
+            const age = Date.now() - (s.createdAt || 0);
+            if (age > 60000) {
+                console.log(`[${instanceId}] Stale session detected (${Math.round(age / 1000)}s), forcing restart`);
+                try { s.socket?.end(); } catch (e) { }
+                sessions.delete(instanceId);
+                await startSession(instanceId);
+                s = await waitForQr(instanceId, 12);
+            }
+        }
+
+        if (s?.status === 'connected') return res.json({ status: 'connected', phoneNumber: s.phoneNumber });
+        if (s?.qr) {
+            const qr = await QRCode.toDataURL(s.qr);
+            return res.json({ status: 'qr_ready', qr });
+        }
+
+        // Return detailed status
+        const age = s ? Math.round((Date.now() - (s.createdAt || Date.now())) / 1000) : 0;
+        res.json({ status: s?.status || 'connecting', age_seconds: age });
     } catch (err) {
         console.error(`[/qr] Error:`, err.message);
         res.status(500).json({ status: 'error', error: err.message });
     }
 });
 
-app.get('/status/:instanceId', (req, res) => {
-    const s = getSession(req.params.instanceId);
-    res.json(s ? { status: s.status, instance_id: req.params.instanceId, phoneNumber: s.phoneNumber, hasQr: !!s.qr } : { status: 'disconnected', instance_id: req.params.instanceId });
+// Start (or restart) linking with a pairing code for `phone` — the number being linked
+app.post('/pair/:instanceId', requireServiceAuth, requireInstanceAccess, async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const existing = getSession(instanceId);
+        if (existing?.status === 'connected') return res.json({ status: 'connected', phoneNumber: existing.phoneNumber });
+
+        const [[instance]] = await getPool().execute('SELECT user_id FROM whatsapp_instances WHERE instance_id = ?', [instanceId]);
+        const normalized = normalizePhone(req.body.phone, await getDefaultPrefix(instance?.user_id));
+        if (normalized.error) return res.status(400).json({ error: normalized.error });
+
+        // A QR session (or an older pairing attempt) can't switch modes — start over
+        if (existing) {
+            try { existing.socket?.end(); } catch (e) { }
+            sessions.delete(instanceId);
+            await releaseSessionClaim(instanceId);
+        }
+        await startSession(instanceId, { pairingPhone: normalized.digits });
+        const s = await waitForQr(instanceId, 15);
+        res.json(pairingResponse(instanceId, s));
+    } catch (err) {
+        console.error(`[/pair] Error:`, err.message);
+        res.status(500).json({ status: 'error', error: err.message });
+    }
+});
+
+function pairingResponse(instanceId, s) {
+    if (s?.status === 'connected') return { status: 'connected', instance_id: instanceId, phoneNumber: s.phoneNumber };
+    if (!s?.pairing?.code) return { status: s?.status || 'connecting', instance_id: instanceId };
+    return {
+        status: 'pairing_code_ready',
+        instance_id: instanceId,
+        pairing_code: s.pairing.code,
+        expires_at: new Date(s.pairing.expiresAt).toISOString(),
+        attempt: s.pairing.attempts,
+        max_attempts: PAIRING_MAX_ATTEMPTS
+    };
+}
+
+app.get('/status/:instanceId', requireServiceAuth, requireInstanceAccess, (req, res) => {
+    const s = getSession(req.params.instanceId);
+    if (!s) return res.json({ status: 'disconnected', instance_id: req.params.instanceId });
+    const status = { status: s.status, instance_id: req.params.instanceId, phoneNumber: s.phoneNumber, hasQr: !!s.qr };
+    if (s.pairing) {
+        status.pairing = {
+            phone_number: '+' + s.pairing.phone,
+            code: s.pairing.code,
+            expires_at: s.pairing.code ? new Date(s.pairing.expiresAt).toISOString() : null,
+            attempt: s.pairing.attempts,
+            max_attempts: PAIRING_MAX_ATTEMPTS
+        };
+    }
+    res.json(status);
+});
+
+// ═══════════════════════════════════════════════
+//  LIVE SESSION STREAM (Server-Sent Events)
+// ═══════════════════════════════════════════════
+// Pushes QR refreshes, pairing codes and status transitions as connection.update produces them,
+// so the dashboard doesn't have to poll /qr. Events: status, qr (data URL), pairing_code.
+const EVENTS_HEARTBEAT_MS = 25000;
+
+const EVENTS_TOKEN_TTL_SECONDS = parseInt(process.env.EVENTS_TOKEN_TTL_SECONDS || '300');
+
+// Mint a ?token= for EventSource, which can't send headers: short-lived and good for this instance's stream only,
+// so nothing that ends up in an access log can call the other routes
+app.post('/events/:instanceId/token', requireServiceAuth, requireInstanceAccess, (req, res) => {
+    res.json({ token: serviceAuth.signStreamToken(SERVICE_TOKEN, req.params.instanceId, EVENTS_TOKEN_TTL_SECONDS), expires_in: EVENTS_TOKEN_TTL_SECONDS });
+});
+
+// The stream takes either the usual Authorization header or a stream token in ?token=
+function requireStreamAuth(req, res, next) {
+    if (req.headers.authorization || req.query.token === undefined) {
+        return requireServiceAuth(req, res, () => requireInstanceAccess(req, res, next));
+    }
+    if (!serviceAuth.verifyStreamToken(SERVICE_TOKEN, req.query.token, req.params.instanceId)) {
+        return res.status(401).json({ error: 'Invalid or expired stream token' });
+    }
+    next();
+}
+
+app.get('/events/:instanceId', requireStreamAuth, async (req, res) => {
+    const { instanceId } = req.params;
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Writes go through one chain so a QR still being rendered can't be overtaken by a later status
+    let chain = Promise.resolve();
+    const push = (update) => {
+        chain = chain.then(async () => {
+            const { type, ...data } = update;
+            if (type === 'qr') data.qr = await QRCode.toDataURL(data.qr);
+            res.write(`event: ${type}\ndata: ${JSON.stringify({ instance_id: instanceId, ...data })}\n\n`);
+        }).catch(err => console.error(`[Events] ${instanceId} write failed:`, err.message));
+    };
+    sessionEvents.on(instanceId, push);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        sessionEvents.off(instanceId, push);
+    });
+
+    try {
+        // Same as /qr: a missing or dead session is (re)started, and its 'connecting' arrives as an event
+        let s = getSession(instanceId);
+        if (s && (s.status === 'error' || s.status === 'disconnected')) {
+            try { s.socket?.end(); } catch (e) { }
+            sessions.delete(instanceId);
+            s = null;
+        }
+        if (!s) {
+            s = await startSession(instanceId);
+            if (!s) push({ type: 'status', status: 'disconnected', reason: 'Session is quarantined or owned by another pod' });
+            return;
+        }
+
+        push({ type: 'status', status: s.status, phone_number: s.phoneNumber || null });
+        if (s.qr) push({ type: 'qr', qr: s.qr, attempt: s.qrAttempts });
+        if (s.pairing?.code) {
+            push({ type: 'pairing_code', code: s.pairing.code, expires_at: new Date(s.pairing.expiresAt).toISOString(), attempt: s.pairing.attempts });
+        }
+    } catch (err) {
+        push({ type: 'error', error: err.message });
+    }
+});
+
+app.get('/status', requireServiceAuth, async (req, res) => {
+    try {
+        const all = getAllSessions();
+        if (req.caller.userId === undefined) return res.json({ sessions: all });
+        // Scoped callers only see their own instances
+        const own = new Set((await getAllInstancesForUser(req.caller.userId)).map(i => i.instance_id));
+        res.json({ sessions: Object.fromEntries(Object.entries(all).filter(([id]) => own.has(id))) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/send', requireServiceAuth, async (req, res) => {
+    try {
+        const { user_id, message, instance_id, routing_type } = req.body;
+        if (!req.body.phone || (!message && !req.body.media)) return res.status(400).json({ error: 'phone and message (or media) required' });
+
+        const schedule = parseSchedule(req.body);
+        if (schedule.error) return res.status(400).json({ error: schedule.error });
+        const timeZoneError = invalidTimeZone(req.body.timezone);
+        if (timeZoneError) return res.status(400).json({ error: timeZoneError });
+
+        const normalized = normalizePhone(req.body.phone, await getDefaultPrefix(user_id));
+        if (normalized.error) return res.status(400).json({ error: normalized.error });
+        const phone = normalized.e164;
+
+        let routing;
+        if (instance_id && !user_id) routing = 'instance';
+        else if (routing_type === 'wallet' || routing_type === 'shared') routing = 'shared';
+        else if (user_id) routing = 'personal';
+        else return res.status(400).json({ error: 'user_id or instance_id required' });
+
+        // Scoped callers may only send as themselves, through their own numbers, and never through
+        // the shared pool — that path is billed by /api/send
+        if (user_id && !canActForUser(req, user_id)) return res.status(403).json({ error: 'Cannot send as another user' });
+        if (routing === 'shared' && !req.caller.admin) return res.status(403).json({ error: 'Shared routing requires the service token' });
+        if (routing === 'instance' && req.caller.userId !== undefined) {
+            const [rows] = await getPool().execute('SELECT user_id FROM whatsapp_instances WHERE instance_id = ?', [instance_id]);
+            if (!rows.length || !canActForUser(req, rows[0].user_id)) return res.status(403).json({ error: 'Instance belongs to another user' });
+        }
+
+        // Instance sends follow the instance owner's suppression list and quiet hours
+        let ownerUserId = user_id;
+        if (!ownerUserId && instance_id) {
+            const [owner] = await getPool().execute('SELECT user_id FROM whatsapp_instances WHERE instance_id = ?', [instance_id]);
+            ownerUserId = owner[0]?.user_id;
+        }
+
+        // Attachments are validated before anything is queued; `message` becomes the caption.
+        // media:// references resolve in the sending user's own store.
+        let attachment = null;
+        if (req.body.media) {
+            attachment = await mediaStore.validateMedia(req.body.media, ownerUserId);
+            if (attachment.error) return res.status(400).json({ error: attachment.error });
+            if (attachment.media.type === 'audio' && message) return res.status(400).json({ error: 'audio attachments cannot carry a caption — send the text separately' });
+        }
+
+        const suppression = await findSuppression(ownerUserId, phone);
+        if (suppression) return suppressedResponse(res, phone, suppression);
+
+        if (await isOnWhatsApp(phone, ownerUserId) === false) {
+            return res.status(422).json({ error: 'not a WhatsApp user', code: 'not_on_whatsapp', phone });
+        }
+
+        const quiet = await applyQuietHours(ownerUserId, phone, { timeZone: req.body.timezone || null, sendAt: schedule.sendAt });
+        const messageId = await enqueueMessage({
+            routing,
+            userId: user_id || null,
+            instanceId: instance_id || null,
+            phone,
+            text: message || null,
+            media: attachment?.media || null,
+            mediaData: attachment?.data || null,
+            sendAt: quiet.sendAt
+        });
+        res.status(202).json({
+            success: true,
+            message_id: messageId,
+            status: quiet.sendAt ? 'scheduled' : 'queued',
+            send_at: quiet.sendAt ? quiet.sendAt.toISOString() : null,
+            deferred_by_quiet_hours: quiet.deferred
+        });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ═══════════════════════════════════════════════
+//  RATE LIMITING (token buckets per API key, phone and IP)
+// ═══════════════════════════════════════════════
+const RATE_LIMITS = {
+    // requests per minute per API key — plans.api_rate_limit overrides
+    key: { limit: parseInt(process.env.RATE_LIMIT_KEY_PER_MINUTE || '60'), windowSeconds: 60 },
+    // sends per hour to one destination phone — plans.phone_rate_limit overrides
+    phone: { limit: parseInt(process.env.RATE_LIMIT_PHONE_PER_HOUR || '5'), windowSeconds: 3600 },
+    ip: { limit: parseInt(process.env.RATE_LIMIT_IP_PER_MINUTE || '120'), windowSeconds: 60 }
+};
+
+let rateLimitStore = null;
+function getRateLimitStore() {
+    if (!rateLimitStore) {
+        rateLimitStore = process.env.RATE_LIMIT_STORE === 'redis'
+            ? rateLimiter.createRedisStore(getRedis())
+            : rateLimiter.createMemoryStore();
+    }
+    return rateLimitStore;
+}
+
+// Takes a token and sets the RateLimit-* headers. Fails open if the store is unreachable.
+async function checkRateLimit(res, key, rule) {
+    try {
+        const result = await rateLimiter.consume(getRateLimitStore(), key, rule);
+        rateLimiter.setRateLimitHeaders(res, result);
+        return result.allowed;
+    } catch (err) {
+        console.error(`[RateLimit] ${key} check failed:`, err.message);
+        return true;
+    }
+}
+
+function rateLimited(res, scope) {
+    return res.status(429).json({ error: `Rate limit exceeded (${scope}). Retry after ${res.get('Retry-After')}s.`, code: 'rate_limited', scope });
+}
+
+async function ipRateLimit(req, res, next) {
+    if (!await checkRateLimit(res, `ip:${req.ip}`, RATE_LIMITS.ip)) return rateLimited(res, 'ip');
+    next();
+}
+app.use('/api', ipRateLimit);
+
+// ═══════════════════════════════════════════════
+//  PUBLIC API AUTH (Bearer API key)
+// ═══════════════════════════════════════════════
+async function requireApiKey(req, res, next) {
+    try {
+        // Extract API key from Authorization header
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+        }
+        const apiKey = authHeader.substring(7);
+
+        // Validate API key against database
+        const db = getPool();
+        const [keys] = await db.execute(
+            `SELECT k.id, k.user_id, k.is_active, k.otp_length, k.otp_type, k.otp_ttl_seconds, k.app_name, k.fallback_channels,
+                    p.api_rate_limit, p.phone_rate_limit
+             FROM api_keys k
+             LEFT JOIN subscriptions s ON s.user_id = k.user_id AND s.status = 'active'
+             LEFT JOIN plans p ON p.id = s.plan_id
+             WHERE k.api_key = ? AND k.is_active = 1 LIMIT 1`,
+            [apiKey]
+        );
+
+        if (!keys.length) {
+            return res.status(401).json({ error: 'Invalid or revoked API Key' });
+        }
+
+        req.apiKey = keys[0];
+
+        const keyRule = { ...RATE_LIMITS.key, limit: req.apiKey.api_rate_limit || RATE_LIMITS.key.limit };
+        if (!await checkRateLimit(res, `key:${req.apiKey.id}`, keyRule)) return rateLimited(res, 'api_key');
+        next();
+    } catch (err) {
+        console.error('[api/auth] Error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// ═══════════════════════════════════════════════
+//  MESSAGE TEMPLATES (per user, one variant per locale)
+// ═══════════════════════════════════════════════
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+// 'pt_br' / 'PT-br' -> 'pt-BR'; returns null for anything that isn't a language tag
+function normalizeLocale(locale) {
+    if (!locale || typeof locale !== 'string') return null;
+    const [lang, region] = locale.trim().replace('_', '-').split('-');
+    const tag = region ? `${lang.toLowerCase()}-${region.toUpperCase()}` : lang.toLowerCase();
+    return /^[a-z]{2,3}(-[A-Z]{2})?$/.test(tag) ? tag : null;
+}
+
+async function listTemplates(userId) {
+    const db = getPool();
+    const [rows] = await db.execute(
+        'SELECT name, locale, kind, body, updated_at FROM message_templates WHERE user_id = ? ORDER BY name ASC, locale ASC',
+        [userId]
+    );
+    // Group variants under their template name
+    const byName = new Map();
+    for (const r of rows) {
+        if (!byName.has(r.name)) byName.set(r.name, { name: r.name, kind: r.kind, variants: {} });
+        byName.get(r.name).variants[r.locale] = { body: r.body, updated_at: r.updated_at };
+    }
+    return [...byName.values()];
+}
+
+// Lookup order: exact locale -> base language -> DEFAULT_LOCALE. Only variants of `kind` match.
+async function resolveTemplate(userId, name, locale, kind = 'otp') {
+    const db = getPool();
+    const wanted = normalizeLocale(locale) || DEFAULT_LOCALE;
+    const candidates = [...new Set([wanted, wanted.split('-')[0], DEFAULT_LOCALE])];
+    const [rows] = await db.execute(
+        `SELECT locale, body FROM message_templates WHERE user_id = ? AND name = ? AND kind = ? AND locale IN (${candidates.map(() => '?').join(', ')})`,
+        [userId, name, kind, ...candidates]
+    );
+    for (const c of candidates) {
+        const row = rows.find(r => r.locale === c);
+        if (row) return { locale: row.locale, body: row.body, fallback: row.locale !== wanted };
+    }
+    return null;
+}
+
+const TEMPLATE_KINDS = ['otp', 'message'];
+
+function validateTemplateInput(name, locale, body, kind = 'otp') {
+    if (!name || !/^[\w.-]{1,100}$/.test(name)) return 'name is required (letters, digits, _ . - up to 100 chars)';
+    if (!normalizeLocale(locale)) return 'locale must be a language tag like en or pt-BR';
+    if (!TEMPLATE_KINDS.includes(kind)) return `kind must be one of: ${TEMPLATE_KINDS.join(', ')}`;
+    if (!body || typeof body !== 'string') return 'body is required';
+    if (body.length > 1000) return 'body must be at most 1000 characters';
+    // {{code}} is only ever filled in for OTPs
+    if (kind === 'otp' && !otp.hasCodePlaceholder(body)) return 'body must contain the {{code}} placeholder';
+    if (kind === 'message' && otp.hasCodePlaceholder(body)) return 'message templates cannot use the {{code}} placeholder';
+    return null;
+}
+
+app.get('/api/templates', requireApiKey, async (req, res) => {
+    try {
+        res.json({ templates: await listTemplates(req.apiKey.user_id), default_locale: DEFAULT_LOCALE });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Create a template variant: { name, locale, body, kind?: 'otp' | 'message' }
+app.post('/api/templates', requireApiKey, async (req, res) => {
+    try {
+        const { name, body, kind = 'otp' } = req.body;
+        const locale = req.body.locale || DEFAULT_LOCALE;
+        const invalid = validateTemplateInput(name, locale, body, kind);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const db = getPool();
+        await db.execute(
+            'INSERT INTO message_templates (user_id, name, locale, kind, body) VALUES (?, ?, ?, ?, ?)',
+            [req.apiKey.user_id, name, normalizeLocale(locale), kind, body]
+        );
+        res.status(201).json({ success: true, name, locale: normalizeLocale(locale), kind });
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'A variant for this template and locale already exists' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Update a template variant: { body }
+app.put('/api/templates/:name/:locale', requireApiKey, async (req, res) => {
+    try {
+        const { name } = req.params;
+        const locale = normalizeLocale(req.params.locale);
+        const db = getPool();
+        const [existing] = await db.execute(
+            'SELECT kind FROM message_templates WHERE user_id = ? AND name = ? AND locale = ?',
+            [req.apiKey.user_id, name, locale]
+        );
+        if (!existing.length) return res.status(404).json({ error: 'Template variant not found' });
+        const invalid = validateTemplateInput(name, req.params.locale, req.body.body, existing[0].kind);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const [result] = await db.execute(
+            'UPDATE message_templates SET body = ? WHERE user_id = ? AND name = ? AND locale = ?',
+            [req.body.body, req.apiKey.user_id, name, locale]
+        );
+        if (!result.affectedRows) return res.status(404).json({ error: 'Template variant not found' });
+        res.json({ success: true, name, locale });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Delete one variant, or the whole template when no locale is given
+async function deleteTemplate(req, res) {
+    try {
+        const db = getPool();
+        const params = [req.apiKey.user_id, req.params.name];
+        let sql = 'DELETE FROM message_templates WHERE user_id = ? AND name = ?';
+        if (req.params.locale) {
+            sql += ' AND locale = ?';
+            params.push(normalizeLocale(req.params.locale));
+        }
+        const [result] = await db.execute(sql, params);
+        if (!result.affectedRows) return res.status(404).json({ error: 'Template not found' });
+        res.json({ success: true, deleted: result.affectedRows });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+}
+app.delete('/api/templates/:name', requireApiKey, deleteTemplate);
+app.delete('/api/templates/:name/:locale', requireApiKey, deleteTemplate);
+
+// ═══════════════════════════════════════════════
+//  IDEMPOTENCY KEYS
+// ═══════════════════════════════════════════════
+// A retried request with the same Idempotency-Key (scoped to the API key) gets the first response
+// back instead of a second OTP and a second debit. 5xx and 429 responses aren't kept, so those can be retried.
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24');
+// An in-progress key whose request crashed or never answered is released after this lease
+const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS || '120');
+
+async function idempotent(req, res, next) {
+    const idemKey = req.get('Idempotency-Key');
+    if (!idemKey) return next();
+    if (idemKey.length > 255) return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+
+    try {
+        const db = getPool();
+        const apiKeyId = req.apiKey.id;
+        const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+        // A key past its retention window, or an unanswered one past its lease, is free to be used again
+        await db.execute(
+            `DELETE FROM idempotency_keys WHERE api_key_id = ? AND idempotency_key = ?
+               AND (created_at < DATE_SUB(NOW(), INTERVAL ? HOUR) OR (status_code IS NULL AND created_at < DATE_SUB(NOW(), INTERVAL ? SECOND)))`,
+            [apiKeyId, idemKey, IDEMPOTENCY_TTL_HOURS, IDEMPOTENCY_LEASE_SECONDS]
+        );
+        try {
+            await db.execute(
+                'INSERT INTO idempotency_keys (api_key_id, idempotency_key, request_hash) VALUES (?, ?, ?)',
+                [apiKeyId, idemKey, requestHash]
+            );
+        } catch (err) {
+            if (err.code !== 'ER_DUP_ENTRY') throw err;
+            const [rows] = await db.execute(
+                'SELECT request_hash, status_code, response_body FROM idempotency_keys WHERE api_key_id = ? AND idempotency_key = ?',
+                [apiKeyId, idemKey]
+            );
+            const saved = rows[0];
+            if (!saved) return res.status(409).json({ error: 'Idempotency-Key conflict, retry the request' });
+            if (saved.request_hash !== requestHash) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body', code: 'idempotency_mismatch' });
+            }
+            if (saved.status_code === null) {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress', code: 'idempotency_in_progress' });
+            }
+            const body = typeof saved.response_body === 'string' ? JSON.parse(saved.response_body) : saved.response_body;
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(saved.status_code).json(body);
+        }
+
+        // Record whatever the handler answers
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            const keep = res.statusCode < 500 && res.statusCode !== 429;
+            const store = keep
+                ? db.execute('UPDATE idempotency_keys SET status_code = ?, response_body = ? WHERE api_key_id = ? AND idempotency_key = ?',
+                    [res.statusCode, JSON.stringify(body), apiKeyId, idemKey])
+                : db.execute('DELETE FROM idempotency_keys WHERE api_key_id = ? AND idempotency_key = ?', [apiKeyId, idemKey]);
+            store.catch(err => console.error('[Idempotency] Failed to store response:', err.message));
+            return sendJson(body);
+        };
+        next();
+    } catch (err) {
+        console.error('[Idempotency] Error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+}
+
+async function purgeIdempotencyKeys() {
+    const db = getPool();
+    await db.execute('DELETE FROM idempotency_keys WHERE created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)', [IDEMPOTENCY_TTL_HOURS]);
+}
+
+// ═══════════════════════════════════════════════
+//  PUBLIC API ENDPOINT (for free hosting compatibility)
+// ═══════════════════════════════════════════════
+
+app.post('/api/send', requireApiKey, idempotent, async (req, res) => {
+    try {
+        const db = getPool();
+        const keyData = req.apiKey;
+        const user_id = keyData.user_id;
+
+        // `message` is an optional inline template — the code itself is generated here
+        let template = req.body.message;
+        if (!req.body.phone) {
+            return res.status(400).json({ error: 'phone is required' });
+        }
+
+        // Named template: pick the variant for the requested locale, falling back to DEFAULT_LOCALE
+        let templateLocale = null;
+        if (req.body.template) {
+            const resolved = await resolveTemplate(user_id, req.body.template, req.body.locale, 'otp');
+            if (!resolved) {
+                return res.status(404).json({ error: `Template '${req.body.template}' not found for locale '${req.body.locale || DEFAULT_LOCALE}' or default locale '${DEFAULT_LOCALE}'` });
+            }
+            template = resolved.body;
+            templateLocale = resolved.locale;
+        }
+        if (template && !otp.hasCodePlaceholder(template)) {
+            return res.status(400).json({ error: 'message template must contain the {{code}} placeholder' });
+        }
+
+        const otpOptions = otp.resolveOtpOptions(req.body, keyData);
+        if (otpOptions.error) {
+            return res.status(400).json({ error: otpOptions.error });
+        }
+
+        // Optional interactive payload: copy-code / URL button, brand footer, image header
+        const richOptions = richMessages.parseRichOptions(req.body, { appName: otpOptions.appName });
+        if (richOptions.error) {
+            return res.status(400).json({ error: richOptions.error });
+        }
+        // The header image is read from the user's media store, like any other attachment
+        if (richOptions.rich?.headerImage) {
+            const header = await mediaStore.validateMedia({ type: 'image', url: richOptions.rich.headerImage }, user_id);
+            if (header.error) return res.status(400).json({ error: `header_image: ${header.error}` });
+            richOptions.rich.headerImage = header.media;
+        }
+
+        // Optional attachment — the OTP message goes out as its caption
+        let attachment = null;
+        if (req.body.media) {
+            if (richOptions.rich) return res.status(400).json({ error: 'media cannot be combined with buttons, footer or header_image' });
+            attachment = await mediaStore.validateMedia(req.body.media, user_id);
+            if (attachment.error) return res.status(400).json({ error: attachment.error });
+            if (attachment.media.type === 'audio') return res.status(400).json({ error: 'audio attachments cannot carry the OTP — use image or document' });
+        }
+
+        // Channels to try after WhatsApp: the request's `fallback` wins over the key's default
+        const fromRequest = req.body.fallback !== undefined;
+        const parsedFallback = channels.parseFallbackList(fromRequest ? req.body.fallback : keyData.fallback_channels);
+        if (parsedFallback.error) {
+            return res.status(400).json({ error: parsedFallback.error });
+        }
+        let fallback = parsedFallback.channels;
+        const unconfigured = fallback.find(name => !fallbackChannels[name]);
+        if (unconfigured) {
+            return res.status(400).json({ error: `fallback channel '${unconfigured}' is not configured on this server` });
+        }
+        const email = req.body.email ? String(req.body.email).trim() : null;
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'email is not a valid address' });
+        }
+        if (fallback.includes('email') && !email) {
+            // A key-level default just skips email for requests that don't carry an address
+            if (fromRequest) return res.status(400).json({ error: 'email is required for the email fallback channel' });
+            fallback = fallback.filter(name => name !== 'email');
+        }
+
+        // Optional delayed delivery — the code's TTL then runs from the send time
+        const schedule = parseSchedule(req.body);
+        if (schedule.error) {
+            return res.status(400).json({ error: schedule.error });
+        }
+        const timeZoneError = invalidTimeZone(req.body.timezone);
+        if (timeZoneError) {
+            return res.status(400).json({ error: timeZoneError });
+        }
+
+        // Get user data for routing decisions
+        const [users] = await db.execute(
+            `SELECT u.wallet_balance, u.default_prefix, p.daily_otp_limit, s.status as sub_status
+             FROM users u
+             LEFT JOIN subscriptions s ON u.id = s.user_id AND s.status = 'active'
+             LEFT JOIN plans p ON s.plan_id = p.id
+             WHERE u.id = ?`,
+            [user_id]
+        );
+
+        if (!users.length) {
+            return res.status(500).json({ error: 'User not found' });
+        }
+
+        const user = users[0];
+
+        // Everything downstream (otp_logs, JID, verify) works on the E.164 form
+        const normalized = normalizePhone(req.body.phone, user.default_prefix || process.env.DEFAULT_PHONE_PREFIX);
+        if (normalized.error) {
+            return res.status(400).json({ error: normalized.error });
+        }
+        const phone = normalized.e164;
+
+        const suppression = await findSuppression(user_id, phone);
+        if (suppression) return suppressedResponse(res, phone, suppression);
+
+        const phoneRule = { ...RATE_LIMITS.phone, limit: keyData.phone_rate_limit || RATE_LIMITS.phone.limit };
+        if (!await checkRateLimit(res, `phone:${user_id}:${phone}`, phoneRule)) {
+            return rateLimited(res, 'phone');
+        }
+
+        // Don't spend a send or a wallet debit on a number that isn't on WhatsApp — unless a fallback can reach it
+        const skipWhatsApp = await isOnWhatsApp(phone, user_id) === false;
+        if (skipWhatsApp && !fallback.length) {
+            return res.status(422).json({ error: 'not a WhatsApp user', code: 'not_on_whatsapp', phone });
+        }
+
+        // Get per OTP price
+        const [settings] = await db.execute("SELECT setting_value FROM settings WHERE setting_key = 'per_otp_price'");
+        const perOtpPrice = parseFloat(settings[0]?.setting_value || 0.50);
+
+        // Check daily usage
+        const todayStart = new Date().toISOString().slice(0, 10) + ' 00:00:00';
+        const [usage] = await db.execute(
+            'SELECT COUNT(*) as count FROM otp_logs WHERE user_id = ? AND created_at >= ?',
+            [user_id, todayStart]
+        );
+        const usageToday = usage[0].count;
+
+        // Determine routing type
+        const hasSubscription = user.sub_status === 'active' && usageToday < user.daily_otp_limit;
+        let routingType = null;
+
+        // Check for personal instance first
+        if (hasSubscription) {
+            const [personalCount] = await db.execute(
+                "SELECT COUNT(*) FROM whatsapp_instances WHERE user_id = ? AND status = 'connected' AND is_banned = 0",
+                [user_id]
+            );
+            if (personalCount[0]['COUNT(*)'] > 0) {
+                routingType = 'personal';
+            }
+        }
+
+        // Fallback to wallet/shared routing
+        if (!routingType) {
+            if (user.wallet_balance >= perOtpPrice) {
+                const [sharedCount] = await db.execute(
+                    "SELECT COUNT(*) FROM whatsapp_instances WHERE is_company_shared = 1 AND status = 'connected' AND is_banned = 0"
+                );
+                if (sharedCount[0]['COUNT(*)'] > 0 || fallback.length) {
+                    routingType = 'wallet';
+                } else {
+                    return res.status(503).json({ error: 'Company routing is currently unavailable (no active shared numbers)' });
+                }
+            } else {
+                return res.status(402).json({ error: 'Insufficient Limits/Funds. Please top-up your wallet or link a personal WhatsApp device on an active subscription.' });
+            }
+        }
+
+        // Generate the code and render it into the message that is actually sent (a scheduled OTP is re-issued when it goes out)
+        const { code, hashedOtp, text: msgBody } = otp.buildOtpMessage(template, otpOptions);
+
+        // OTPs skip quiet hours unless the user's rule includes them
+        const quiet = await applyQuietHours(user_id, phone, { kind: 'otp', timeZone: req.body.timezone || null, sendAt: schedule.sendAt });
+        const sendAt = quiet.sendAt;
+
+        // Log the hash of the code being sent — the TTL starts now (or at send_at), not when the worker picks it up.
+        // A scheduled OTP's row stays pending until the worker issues the code it actually sends.
+        const expiresDate = new Date((sendAt ? sendAt.getTime() : Date.now()) + otpOptions.ttlSeconds * 1000);
+        const expiresAt = expiresDate.toISOString().slice(0, 19).replace('T', ' ');
+
+        // Debit inside a transaction — the balance read above is only a hint, this is the real check
+        const messageId = crypto.randomUUID();
+        if (routingType === 'wallet') {
+            const debit = await walletDebit(user_id, perOtpPrice, messageId);
+            if (!debit.success) {
+                return res.status(402).json({ error: 'Insufficient wallet balance. Please top-up your wallet.', balance: debit.balance });
+            }
+        }
+
+        try {
+            const [otpLog] = await db.execute(
+                'INSERT INTO otp_logs (user_id, api_key_id, phone_number, hashed_otp, expires_at, pending_send) VALUES (?, ?, ?, ?, ?, ?)',
+                [user_id, keyData.id, phone, hashedOtp, expiresAt, sendAt ? 1 : 0]
+            );
+
+            // Queue the send — the worker retries through reconnects and refunds wallet sends that never go out
+            await enqueueMessage({
+                messageId,
+                kind: 'otp',
+                routing: routingType === 'wallet' ? 'shared' : 'personal',
+                userId: user_id,
+                apiKeyId: keyData.id,
+                otpLogId: otpLog.insertId,
+                phone,
+                text: msgBody,
+                walletCharge: routingType === 'wallet' ? perOtpPrice : null,
+                fallback,
+                email,
+                subject: otpOptions.appName ? `${otpOptions.appName} verification code` : null,
+                skipWhatsApp,
+                rich: richOptions.rich ? { ...richOptions.rich, code } : null,
+                media: attachment?.media || null,
+                mediaData: attachment?.data || null,
+                sendAt,
+                otpRender: { template: template || null, options: otpOptions }
+            });
+        } catch (err) {
+            // Nothing was queued — give the debit back
+            if (routingType === 'wallet') await walletRefund(user_id, messageId);
+            throw err;
+        }
+
+        // Update last used
+        await db.execute('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [keyData.id]);
+
+        res.status(202).json({
+            success: true,
+            message: `OTP ${sendAt ? 'scheduled' : 'queued'} for ${fallback.length ? '' : 'WhatsApp '}delivery`,
+            message_id: messageId,
+            status: sendAt ? 'scheduled' : 'queued',
+            send_at: sendAt ? sendAt.toISOString() : null,
+            deferred_by_quiet_hours: quiet.deferred,
+            expires_in: otpOptions.ttlSeconds,
+            expires_at: expiresDate.toISOString(),
+            locale: templateLocale,
+            routing: routingType,
+            channels: [...(skipWhatsApp ? [] : ['whatsapp']), ...fallback],
+            rich: !!richOptions.rich
+        });
+
+    } catch (err) {
+        console.error('[api/send] Error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ═══════════════════════════════════════════════
+//  PUBLIC API VERIFY ENDPOINT
+// ═══════════════════════════════════════════════
+
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5');
+const VERIFY_MAX_FAILURES_PER_PHONE = parseInt(process.env.VERIFY_MAX_FAILURES_PER_PHONE || '10');
+const VERIFY_MAX_FAILURES_PER_KEY = parseInt(process.env.VERIFY_MAX_FAILURES_PER_KEY || '100');
+const VERIFY_LOCKOUT_WINDOW_MINUTES = parseInt(process.env.VERIFY_LOCKOUT_WINDOW_MINUTES || '15');
+
+// Returns an error message when the phone or API key is locked out, otherwise null
+async function checkVerifyLockout(userId, apiKeyId, phone) {
+    const db = getPool();
+    const [[byPhone]] = await db.execute(
+        `SELECT COUNT(*) AS failures FROM otp_verify_failures
+         WHERE user_id = ? AND phone_number = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [userId, phone, VERIFY_LOCKOUT_WINDOW_MINUTES]
+    );
+    if (byPhone.failures >= VERIFY_MAX_FAILURES_PER_PHONE) {
+        return `Too many failed attempts for this phone number. Try again in ${VERIFY_LOCKOUT_WINDOW_MINUTES} minutes.`;
+    }
+    const [[byKey]] = await db.execute(
+        `SELECT COUNT(*) AS failures FROM otp_verify_failures
+         WHERE api_key_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [apiKeyId, VERIFY_LOCKOUT_WINDOW_MINUTES]
+    );
+    if (byKey.failures >= VERIFY_MAX_FAILURES_PER_KEY) {
+        return `Too many failed attempts for this API key. Try again in ${VERIFY_LOCKOUT_WINDOW_MINUTES} minutes.`;
+    }
+    return null;
+}
+
+async function purgeVerifyFailures() {
+    const db = getPool();
+    await db.execute('DELETE FROM otp_verify_failures WHERE created_at < DATE_SUB(NOW(), INTERVAL 1 DAY)');
+}
+
+app.post('/api/verify', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const user_id = req.apiKey.user_id;
+
+        // Get phone and code from request
+        const { code } = req.body;
+        if (!req.body.phone || !code) {
+            return res.status(400).json({ error: 'phone and code are required' });
+        }
+
+        // Same normalization as /api/send so the lookup can be an exact match
+        const normalized = normalizePhone(req.body.phone, await getDefaultPrefix(user_id));
+        if (normalized.error) {
+            return res.status(400).json({ valid: false, error: normalized.error });
+        }
+        const phone = normalized.e164;
+
+        // Lock out a phone or key that keeps guessing, across all of its OTPs
+        const lockout = await checkVerifyLockout(user_id, req.apiKey.id, phone);
+        if (lockout) {
+            res.set('Retry-After', String(VERIFY_LOCKOUT_WINDOW_MINUTES * 60));
+            return res.status(429).json({ valid: false, error: lockout, code: 'verify_locked', attempts_remaining: 0 });
+        }
+
+        // Find the most recent unexpired OTP for this phone — used or not, so reuse is reported as such.
+        // Scheduled OTPs that haven't gone out yet don't count.
+        const [logs] = await db.execute(
+            `SELECT id, hashed_otp, expires_at, verified_at, attempts FROM otp_logs
+             WHERE user_id = ? AND phone_number = ? AND expires_at > NOW() AND pending_send = 0
+             ORDER BY created_at DESC LIMIT 1`,
+            [user_id, phone]
+        );
+
+        if (!logs.length) {
+            return res.status(400).json({ valid: false, error: 'No valid OTP found for this phone number' });
+        }
+
+        const otpRecord = logs[0];
+        if (otpRecord.verified_at) {
+            return res.status(400).json({ valid: false, error: 'OTP has already been used', code: 'otp_already_used', attempts_remaining: 0 });
+        }
+
+        // Count the attempt before comparing — the condition stops parallel guesses from overshooting the limit
+        const [counted] = await db.execute(
+            'UPDATE otp_logs SET attempts = attempts + 1 WHERE id = ? AND attempts < ? AND verified_at IS NULL',
+            [otpRecord.id, OTP_MAX_ATTEMPTS]
+        );
+        if (!counted.affectedRows) {
+            return res.status(400).json({ valid: false, error: 'Too many attempts for this OTP. Request a new code.', code: 'otp_attempts_exceeded', attempts_remaining: 0 });
+        }
+        const attemptsRemaining = Math.max(OTP_MAX_ATTEMPTS - (otpRecord.attempts + 1), 0);
+
+        const hashedInput = otp.hashOtp(code);
+
+        if (hashedInput !== otpRecord.hashed_otp) {
+            await db.execute(
+                'INSERT INTO otp_verify_failures (user_id, api_key_id, phone_number) VALUES (?, ?, ?)',
+                [user_id, req.apiKey.id, phone]
+            );
+            return res.status(400).json({ valid: false, error: 'Invalid OTP code', code: 'otp_invalid', attempts_remaining: attemptsRemaining });
+        }
+
+        // Mark OTP as used — single use even if two correct guesses race
+        const [marked] = await db.execute('UPDATE otp_logs SET verified_at = NOW() WHERE id = ? AND verified_at IS NULL', [otpRecord.id]);
+        if (!marked.affectedRows) {
+            return res.status(400).json({ valid: false, error: 'OTP has already been used', code: 'otp_already_used', attempts_remaining: 0 });
+        }
+        emitEvent('otp.verified', user_id, req.apiKey.id, { otp_log_id: otpRecord.id, phone });
+
+        res.json({
+            valid: true,
+            message: 'OTP verified successfully'
+        });
+
+    } catch (err) {
+        console.error('[api/verify] Error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ═══════════════════════════════════════════════
+//  OUTBOUND WEBHOOKS
+// ═══════════════════════════════════════════════
+// Events are written to webhook_deliveries and POSTed by a queue worker, so a slow or
+// failing receiver never blocks a send and retries survive restarts.
+const WEBHOOK_EVENTS = [
+    'otp.sent', 'otp.delivered', 'otp.verified', 'otp.expired',
+    'instance.connected', 'instance.banned', 'instance.logged_out', 'instance.qr_ready', 'instance.pairing_code_ready',
+    'instance.quarantined', 'instance.restored', 'message.received'
+];
+const WEBHOOK_ATTEMPTS = parseInt(process.env.WEBHOOK_ATTEMPTS || '8');
+const WEBHOOK_BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS || '10000');
+
+let webhookQueue = null;
+function getWebhookQueue() {
+    if (!webhookQueue) webhookQueue = new Queue('otpflow-webhooks', { connection: getRedis() });
+    return webhookQueue;
+}
+
+// User-level webhooks get everything for the user; key-level ones only events caused through that key
+async function queueWebhookEvent(event, userId, apiKeyId, data) {
+    const db = getPool();
+    const [hooks] = await db.execute(
+        'SELECT id, events FROM webhooks WHERE user_id = ? AND is_active = 1 AND (api_key_id IS NULL OR api_key_id = ?)',
+        [userId, apiKeyId]
+    );
+    for (const hook of hooks) {
+        const events = typeof hook.events === 'string' ? JSON.parse(hook.events) : hook.events;
+        if (Array.isArray(events) && !events.includes(event)) continue;
+
+        const deliveryId = crypto.randomUUID();
+        const payload = { id: deliveryId, event, created_at: new Date().toISOString(), data };
+        await db.execute(
+            'INSERT INTO webhook_deliveries (delivery_id, webhook_id, event, payload) VALUES (?, ?, ?, ?)',
+            [deliveryId, hook.id, event, JSON.stringify(payload)]
+        );
+        await getWebhookQueue().add('deliver', { deliveryId }, {
+            jobId: deliveryId,
+            attempts: WEBHOOK_ATTEMPTS,
+            backoff: { type: 'exponential', delay: WEBHOOK_BACKOFF_MS },
+            removeOnComplete: true,
+            removeOnFail: true
+        });
+    }
+}
+
+// Fire-and-forget — webhook bookkeeping must never break the caller
+function emitEvent(event, userId, apiKeyId, data) {
+    if (!userId) return;
+    queueWebhookEvent(event, userId, apiKeyId || null, data).catch(err =>
+        console.error(`[Webhooks] Failed to queue ${event}:`, err.message)
+    );
+}
+
+function emitInstanceEvent(event, instanceId, data = {}) {
+    const db = getPool();
+    db.execute('SELECT user_id FROM whatsapp_instances WHERE instance_id = ?', [instanceId])
+        .then(([rows]) => { if (rows.length) emitEvent(event, rows[0].user_id, null, { instance_id: instanceId, ...data }); })
+        .catch(err => console.error(`[Webhooks] Failed to queue ${event} for ${instanceId}:`, err.message));
+}
+
+async function processWebhookJob(job) {
+    const db = getPool();
+    const { deliveryId } = job.data;
+    const [rows] = await db.execute(
+        `SELECT d.event, d.payload, w.url, w.secret, w.is_active
+         FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+         WHERE d.delivery_id = ?`,
+        [deliveryId]
+    );
+    if (!rows.length) return; // webhook deleted
+    const delivery = rows[0];
+    if (!delivery.is_active) {
+        await db.execute(`UPDATE webhook_deliveries SET status = 'failed', last_error = 'Webhook disabled' WHERE delivery_id = ?`, [deliveryId]);
+        return;
+    }
+
+    const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+    const attempt = job.attemptsMade + 1;
+    const result = await webhooks.deliverWebhook(delivery.url, delivery.secret, deliveryId, delivery.event, payload);
+
+    await db.execute(
+        'INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, duration_ms) VALUES (?, ?, ?, ?, ?)',
+        [deliveryId, attempt, result.status, result.error ? result.error.slice(0, 500) : null, result.durationMs]
+    );
+    await db.execute(
+        `UPDATE webhook_deliveries SET attempts = ?, last_status_code = ?, last_error = ?,
+             status = IF(?, 'delivered', status), delivered_at = IF(?, NOW(), delivered_at)
+         WHERE delivery_id = ?`,
+        [attempt, result.status, result.error ? result.error.slice(0, 500) : null, result.ok, result.ok, deliveryId]
+    );
+    if (!result.ok) throw new Error(result.error);
+}
+
+function startWebhookWorker() {
+    const worker = new Worker('otpflow-webhooks', processWebhookJob, { connection: getWorkerRedis(), concurrency: 5 });
+    worker.on('failed', async (job, err) => {
+        if (!job || job.attemptsMade < (job.opts.attempts || 1)) return;
+        try {
+            const db = getPool();
+            await db.execute(`UPDATE webhook_deliveries SET status = 'failed' WHERE delivery_id = ?`, [job.data.deliveryId]);
+            console.log(`[Webhooks] Delivery ${job.data.deliveryId} gave up after ${job.attemptsMade} attempts: ${err.message}`);
+        } catch (e) { }
+    });
+    worker.on('error', (err) => console.error('[Webhooks] Worker error:', err.message));
+    return worker;
+}
+
+// Announce OTPs that expired unverified. The conditional UPDATE makes sure only one pod emits each.
+async function sweepExpiredOtps() {
+    const db = getPool();
+    const [rows] = await db.execute(
+        `SELECT id, user_id, api_key_id, phone_number, expires_at FROM otp_logs
+         WHERE verified_at IS NULL AND expired_notified_at IS NULL AND pending_send = 0
+           AND expires_at < NOW() AND expires_at > DATE_SUB(NOW(), INTERVAL 1 DAY)
+         LIMIT 500`
+    );
+    for (const r of rows) {
+        const [result] = await db.execute('UPDATE otp_logs SET expired_notified_at = NOW() WHERE id = ? AND expired_notified_at IS NULL', [r.id]);
+        if (result.affectedRows) emitEvent('otp.expired', r.user_id, r.api_key_id, { otp_log_id: r.id, phone: r.phone_number, expired_at: r.expires_at });
+    }
+}
+
+// Register a webhook: { url, events?: [...], scope?: 'user' | 'key' }
+app.post('/api/webhooks', requireApiKey, async (req, res) => {
+    try {
+        const { url, events, scope = 'user' } = req.body;
+        const invalidUrl = await webhooks.validateWebhookUrl(url);
+        if (invalidUrl) return res.status(400).json({ error: invalidUrl });
+        if (events !== undefined && (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e)))) {
+            return res.status(400).json({ error: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}` });
+        }
+        if (!['user', 'key'].includes(scope)) return res.status(400).json({ error: "scope must be 'user' or 'key'" });
+
+        const secret = webhooks.generateSecret();
+        const db = getPool();
+        const [result] = await db.execute(
+            'INSERT INTO webhooks (user_id, api_key_id, url, secret, events) VALUES (?, ?, ?, ?, ?)',
+            [req.apiKey.user_id, scope === 'key' ? req.apiKey.id : null, url, secret, events ? JSON.stringify(events) : null]
+        );
+        // The secret is only ever shown here
+        res.status(201).json({ success: true, id: result.insertId, url, events: events || WEBHOOK_EVENTS, scope, secret });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/webhooks', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const [rows] = await db.execute(
+            'SELECT id, api_key_id, url, events, is_active, created_at FROM webhooks WHERE user_id = ? ORDER BY id ASC',
+            [req.apiKey.user_id]
+        );
+        res.json({ webhooks: rows.map(r => ({ ...r, scope: r.api_key_id ? 'key' : 'user' })), available_events: WEBHOOK_EVENTS });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/api/webhooks/:id', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const [result] = await db.execute('DELETE FROM webhooks WHERE id = ? AND user_id = ?', [req.params.id, req.apiKey.user_id]);
+        if (!result.affectedRows) return res.status(404).json({ error: 'Webhook not found' });
+        res.json({ success: true });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Delivery history, newest first, with every attempt
+app.get('/api/webhooks/:id/deliveries', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const [deliveries] = await db.execute(
+            `SELECT d.delivery_id, d.event, d.status, d.attempts, d.last_status_code, d.last_error, d.created_at, d.delivered_at
+             FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+             WHERE d.webhook_id = ? AND w.user_id = ?
+             ORDER BY d.id DESC LIMIT ${limit}`,
+            [req.params.id, req.apiKey.user_id]
+        );
+        if (deliveries.length) {
+            const ids = deliveries.map(d => d.delivery_id);
+            const [attempts] = await db.execute(
+                `SELECT delivery_id, attempt, status_code, error, duration_ms, created_at FROM webhook_delivery_attempts
+                 WHERE delivery_id IN (${ids.map(() => '?').join(', ')}) ORDER BY attempt ASC`,
+                ids
+            );
+            for (const d of deliveries) d.history = attempts.filter(a => a.delivery_id === d.delivery_id);
+        }
+        res.json({ deliveries });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ═══════════════════════════════════════════════
+//  PUBLIC API LOOKUP
+// ═══════════════════════════════════════════════
+const WA_LOOKUP_BULK_MAX = parseInt(process.env.WA_LOOKUP_BULK_MAX || '50');
+
+// Bulk pre-check for signup forms: { phones: [...] }
+app.post('/api/lookup', requireApiKey, async (req, res) => {
+    try {
+        const { phones } = req.body;
+        if (!Array.isArray(phones) || !phones.length) return res.status(400).json({ error: 'phones must be a non-empty array' });
+        if (phones.length > WA_LOOKUP_BULK_MAX) return res.status(400).json({ error: `At most ${WA_LOOKUP_BULK_MAX} phones per request` });
+
+        const prefix = await getDefaultPrefix(req.apiKey.user_id);
+        const normalized = phones.map(input => ({ input, ...normalizePhone(input, prefix) }));
+        const found = await lookupWhatsApp([...new Set(normalized.filter(n => n.e164).map(n => n.e164))], req.apiKey.user_id);
+
+        res.json({
+            results: normalized.map(n => n.error
+                ? { input: n.input, valid: false, error: n.error, on_whatsapp: null }
+                : { input: n.input, valid: true, phone: n.e164, on_whatsapp: found.get(n.e164) })
+        });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ═══════════════════════════════════════════════
+//  PUBLIC API MESSAGE STATUS
+// ═══════════════════════════════════════════════
+
+const MESSAGE_STATUS_COLUMNS = `m.message_id, m.status, m.channel, m.fallback_channels, m.routing_type, m.selection_strategy, m.media_type, m.media_filename, m.phone_number, m.attempts, m.last_error,
+    m.wa_message_id, m.created_at, m.send_at, m.sent_at, m.delivered_at, m.read_at, m.failed_at, m.updated_at,
+    w.phone_number AS instance_phone`;
+
+app.get('/api/messages/:id', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const [rows] = await db.execute(
+            `SELECT ${MESSAGE_STATUS_COLUMNS}
+             FROM messages m
+             LEFT JOIN whatsapp_instances w ON w.instance_id = m.instance_id
+             WHERE m.message_id = ? AND m.user_id = ?`,
+            [req.params.id, req.apiKey.user_id]
+        );
+        if (!rows.length) return res.status(404).json({ error: 'Message not found' });
+        const [attempts] = await db.execute(
+            `SELECT attempt, channel, provider, success, provider_message_id, error, duration_ms, created_at
+             FROM message_attempts WHERE message_id = ? ORDER BY id ASC`,
+            [req.params.id]
+        );
+        res.json({ ...rows[0], channel_attempts: attempts });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Recent messages, optionally filtered by ?phone= and ?status= (e.g. status=delivered)
+app.get('/api/messages', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const where = ['m.user_id = ?'];
+        const values = [req.apiKey.user_id];
+        if (req.query.phone) {
+            const normalized = normalizePhone(String(req.query.phone), await getDefaultPrefix(req.apiKey.user_id));
+            if (normalized.error) return res.status(400).json({ error: normalized.error });
+            where.push('m.phone_number = ?');
+            values.push(normalized.e164);
+        }
+        if (req.query.status) { where.push('m.status = ?'); values.push(String(req.query.status)); }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const [rows] = await db.execute(
+            `SELECT ${MESSAGE_STATUS_COLUMNS}
+             FROM messages m
+             LEFT JOIN whatsapp_instances w ON w.instance_id = m.instance_id
+             WHERE ${where.join(' AND ')}
+             ORDER BY m.created_at DESC LIMIT ${limit}`,
+            values
+        );
+        res.json({ messages: rows });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Replies received on the user's numbers (and on shared numbers after the user messaged that phone)
+app.get('/api/inbound', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const where = ['user_id = ?'];
+        const values = [req.apiKey.user_id];
+        if (req.query.phone) {
+            const normalized = normalizePhone(String(req.query.phone), await getDefaultPrefix(req.apiKey.user_id));
+            if (normalized.error) return res.status(400).json({ error: normalized.error });
+            where.push('phone_number = ?');
+            values.push(normalized.e164);
+        }
+        if (req.query.since) {
+            const since = new Date(String(req.query.since));
+            if (isNaN(since)) return res.status(400).json({ error: 'since must be an ISO 8601 timestamp' });
+            where.push('received_at >= ?');
+            values.push(since.toISOString().slice(0, 19).replace('T', ' '));
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const [rows] = await db.execute(
+            `SELECT id, instance_id, phone_number, push_name, message_type, body, keyword_action, received_at
+             FROM inbound_messages WHERE ${where.join(' AND ')}
+             ORDER BY received_at DESC, id DESC LIMIT ${limit}`,
+            values
+        );
+        res.json({ messages: rows });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ═══════════════════════════════════════════════
+//  SCHEDULED MESSAGE ROUTES
+// ═══════════════════════════════════════════════
+// A message belongs to its user_id, or — for fixed-instance sends, which have none — to the instance's owner
+const MESSAGE_OWNER_CLAUSE = '(m.user_id = ? OR (m.user_id IS NULL AND w.user_id = ?))';
+
+async function listScheduledMessages(userId, query) {
+    const db = getPool();
+    const where = ["m.status = 'scheduled'", MESSAGE_OWNER_CLAUSE];
+    const values = [userId, userId];
+    if (query.phone) {
+        const normalized = normalizePhone(String(query.phone), await getDefaultPrefix(userId));
+        if (normalized.error) return { error: normalized.error };
+        where.push('m.phone_number = ?');
+        values.push(normalized.e164);
+    }
+    const limit = Math.min(Math.max(parseInt(query.limit) || 100, 1), 500);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    const [rows] = await db.execute(
+        `SELECT ${MESSAGE_STATUS_COLUMNS}
+         FROM messages m
+         LEFT JOIN whatsapp_instances w ON w.instance_id = m.instance_id
+         WHERE ${where.join(' AND ')}
+         ORDER BY m.send_at ASC, m.id ASC LIMIT ${limit} OFFSET ${offset}`,
+        values
+    );
+    return { messages: rows };
+}
+
+app.get('/api/scheduled', requireApiKey, async (req, res) => {
+    try {
+        const result = await listScheduledMessages(req.apiKey.user_id, req.query);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json(result);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/api/scheduled/:id', requireApiKey, async (req, res) => {
+    try {
+        const result = await cancelScheduledMessage(req.params.id, req.apiKey.user_id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, message_id: req.params.id, status: 'cancelled' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Management: scoped callers see their own; the service token names a user with ?user_id=
+app.get('/scheduled', requireServiceAuth, async (req, res) => {
+    try {
+        const userId = req.query.user_id !== undefined ? parseInt(req.query.user_id, 10) : req.caller.userId;
+        if (!Number.isInteger(userId)) return res.status(400).json({ error: 'user_id is required' });
+        if (!canActForUser(req, userId)) return res.status(403).json({ error: 'Cannot list another user\'s messages' });
+        const result = await listScheduledMessages(userId, req.query);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json(result);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/scheduled/:id', requireServiceAuth, async (req, res) => {
+    try {
+        const result = await cancelScheduledMessage(req.params.id, req.caller.userId !== undefined ? req.caller.userId : null);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, message_id: req.params.id, status: 'cancelled' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ═══════════════════════════════════════════════
+//  QUIET HOURS ROUTES
+// ═══════════════════════════════════════════════
+app.get('/api/quiet-hours', requireApiKey, async (req, res) => {
+    try {
+        res.json({ quiet_hours: formatQuietHours(await getQuietHours(req.apiKey.user_id)) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.put('/api/quiet-hours', requireApiKey, async (req, res) => {
+    try {
+        const result = await saveQuietHours(req.apiKey.user_id, req.body);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json(result);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/api/quiet-hours', requireApiKey, async (req, res) => {
+    try {
+        await getPool().execute('DELETE FROM quiet_hours WHERE user_id = ?', [req.apiKey.user_id]);
+        res.json({ success: true, quiet_hours: null });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Management: scoped callers manage their own rule; the service token names a user with user_id
+function quietHoursUserFor(req, res, rawUserId) {
+    const userId = rawUserId !== undefined ? parseInt(rawUserId, 10) : req.caller.userId;
+    if (!Number.isInteger(userId)) {
+        res.status(400).json({ error: 'user_id is required' });
+        return null;
+    }
+    if (!canActForUser(req, userId)) {
+        res.status(403).json({ error: 'Cannot manage another user\'s quiet hours' });
+        return null;
+    }
+    return userId;
+}
+
+app.get('/quiet-hours', requireServiceAuth, async (req, res) => {
+    try {
+        const userId = quietHoursUserFor(req, res, req.query.user_id);
+        if (userId === null) return;
+        res.json({ user_id: userId, quiet_hours: formatQuietHours(await getQuietHours(userId)) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.put('/quiet-hours', requireServiceAuth, async (req, res) => {
+    try {
+        const userId = quietHoursUserFor(req, res, req.body.user_id);
+        if (userId === null) return;
+        const result = await saveQuietHours(userId, req.body);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json({ user_id: userId, ...result });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/quiet-hours', requireServiceAuth, async (req, res) => {
+    try {
+        const userId = quietHoursUserFor(req, res, req.query.user_id);
+        if (userId === null) return;
+        await getPool().execute('DELETE FROM quiet_hours WHERE user_id = ?', [userId]);
+        res.json({ success: true, user_id: userId, quiet_hours: null });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ═══════════════════════════════════════════════
+//  SUPPRESSION LIST ROUTES
+// ═══════════════════════════════════════════════
+const SUPPRESSION_COLUMNS = 'phone_number, reason, source, created_at';
+
+async function listSuppressions(userId, query) {
+    const db = getPool();
+    const where = ['user_id = ?'];
+    const values = [userId];
+    if (query.phone) {
+        const normalized = normalizePhone(String(query.phone), await getDefaultPrefix(userId));
+        if (normalized.error) return { error: normalized.error };
+        where.push('phone_number = ?');
+        values.push(normalized.e164);
+    }
+    const limit = Math.min(Math.max(parseInt(query.limit) || 100, 1), 500);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    const [rows] = await db.execute(
+        `SELECT ${SUPPRESSION_COLUMNS} FROM suppressions WHERE ${where.join(' AND ')} ORDER BY created_at DESC, id DESC LIMIT ${limit} OFFSET ${offset}`,
+        values
+    );
+    return { suppressions: rows };
+}
+
+async function removeSuppression(userId, rawPhone) {
+    const normalized = normalizePhone(rawPhone, await getDefaultPrefix(userId));
+    if (normalized.error) return { error: normalized.error };
+    const [result] = await getPool().execute('DELETE FROM suppressions WHERE user_id = ? AND phone_number = ?', [userId, normalized.e164]);
+    return { removed: result.affectedRows > 0, phone: normalized.e164 };
+}
+
+// Public API: the key owner's own list
+app.get('/api/suppressions', requireApiKey, async (req, res) => {
+    try {
+        const result = await listSuppressions(req.apiKey.user_id, req.query);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json(result);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/suppressions', requireApiKey, async (req, res) => {
+    try {
+        const normalized = normalizePhone(req.body.phone, await getDefaultPrefix(req.apiKey.user_id));
+        if (normalized.error) return res.status(400).json({ error: normalized.error });
+        await addSuppression(req.apiKey.user_id, normalized.e164, req.body.reason, 'api');
+        res.status(201).json({ success: true, phone: normalized.e164 });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/api/suppressions/:phone', requireApiKey, async (req, res) => {
+    try {
+        const result = await removeSuppression(req.apiKey.user_id, req.params.phone);
+        if (result.error) return res.status(400).json({ error: result.error });
+        if (!result.removed) return res.status(404).json({ error: 'Number is not suppressed' });
+        res.json({ success: true, phone: result.phone });
+    } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.get('/status', (req, res) => res.json({ sessions: getAllSessions() }));
+// Management: `user_id` picks a user's list; without one an unscoped service caller manages the global list
+function suppressionListFor(req, userId) {
+    if (userId !== undefined && userId !== null && userId !== '') return parseInt(userId, 10);
+    return req.caller.userId !== undefined ? req.caller.userId : GLOBAL_SUPPRESSION_USER_ID;
+}
+
+function checkSuppressionAccess(req, res, listUserId) {
+    if (!Number.isInteger(listUserId) || listUserId < 0) {
+        res.status(400).json({ error: 'user_id must be a numeric user id' });
+        return false;
+    }
+    if (!canActForUser(req, listUserId)) {
+        res.status(403).json({ error: listUserId === GLOBAL_SUPPRESSION_USER_ID ? 'The global list requires the service token' : 'Cannot manage another user\'s list' });
+        return false;
+    }
+    return true;
+}
 
-app.post('/send', async (req, res) => {
+app.get('/suppressions', requireServiceAuth, async (req, res) => {
     try {
-        const { user_id, phone, message, instance_id, routing_type } = req.body;
-        if (!phone || !message) return res.status(400).json({ error: 'phone and message required' });
+        const listUserId = suppressionListFor(req, req.query.user_id);
+        if (!checkSuppressionAccess(req, res, listUserId)) return;
+        const result = await listSuppressions(listUserId, req.query);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json({ scope: listUserId === GLOBAL_SUPPRESSION_USER_ID ? 'global' : 'user', ...result });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        let result;
-        if (instance_id && !user_id) {
-            result = await sendMsg(instance_id, phone, message);
-            if (result.success) await incrementMessageCount(instance_id);
-            return res.json(result);
-        }
-        if (routing_type === 'wallet' || routing_type === 'shared') result = await sendWithSharedRotation(phone, message);
-        else if (user_id) result = await sendWithRotation(user_id, phone, message);
-        else return res.status(400).json({ error: 'user_id or instance_id required' });
+app.post('/suppressions', requireServiceAuth, async (req, res) => {
+    try {
+        const listUserId = suppressionListFor(req, req.body.user_id);
+        if (!checkSuppressionAccess(req, res, listUserId)) return;
+        const normalized = normalizePhone(req.body.phone, await getDefaultPrefix(listUserId));
+        if (normalized.error) return res.status(400).json({ error: normalized.error });
+        await addSuppression(listUserId, normalized.e164, req.body.reason, 'manual');
+        res.status(201).json({ success: true, scope: listUserId === GLOBAL_SUPPRESSION_USER_ID ? 'global' : 'user', phone: normalized.e164 });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        res.status(result.success ? 200 : (result.all_exhausted ? 503 : 500)).json(result);
+app.delete('/suppressions/:phone', requireServiceAuth, async (req, res) => {
+    try {
+        const listUserId = suppressionListFor(req, req.query.user_id);
+        if (!checkSuppressionAccess(req, res, listUserId)) return;
+        const result = await removeSuppression(listUserId, req.params.phone);
+        if (result.error) return res.status(400).json({ error: result.error });
+        if (!result.removed) return res.status(404).json({ error: 'Number is not suppressed' });
+        res.json({ success: true, phone: result.phone });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ═══════════════════════════════════════════════
-//  PUBLIC API ENDPOINT (for free hosting compatibility)
+//  CAMPAIGNS (bulk sends with scheduling)
 // ═══════════════════════════════════════════════
+// Recipients are stored up front; the scheduler tick queues them in batches no bigger than the
+// remaining daily capacity of the campaign's instances, and only inside its send window.
+// Progress comes from the messages rows each queued recipient points to.
+const CAMPAIGN_TICK_MS = parseInt(process.env.CAMPAIGN_TICK_MS || '15000');
+const CAMPAIGN_BATCH_SIZE = parseInt(process.env.CAMPAIGN_BATCH_SIZE || '50');
+const CAMPAIGN_MAX_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS || '10000');
 
-app.post('/api/send', async (req, res) => {
-    try {
-        // Extract API key from Authorization header
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ error: 'Missing or invalid Authorization header' });
-        }
-        const apiKey = authHeader.substring(7);
+async function getPerMessagePrice() {
+    const db = getPool();
+    const [settings] = await db.execute("SELECT setting_value FROM settings WHERE setting_key = 'per_otp_price'");
+    return parseFloat(settings[0]?.setting_value || 0.50);
+}
 
-        // Validate API key against database
-        const db = getPool();
-        const [keys] = await db.execute(
-            'SELECT id, user_id, is_active FROM api_keys WHERE api_key = ? AND is_active = 1 LIMIT 1',
-            [apiKey]
-        );
+function campaignWindow(campaign) {
+    if (campaign.window_start === null || campaign.window_end === null) return null;
+    return { startMinutes: campaign.window_start, endMinutes: campaign.window_end, timeZone: campaign.window_timezone || 'UTC' };
+}
 
-        if (!keys.length) {
-            return res.status(401).json({ error: 'Invalid or revoked API Key' });
-        }
+// How many more messages the campaign's instances can take today, minus what is already waiting in the queue
+async function campaignCapacity(campaign) {
+    const db = getPool();
+    const instances = campaign.routing_type === 'shared' ? await getAvailableSharedInstances() : await getAvailableInstances(campaign.user_id);
+    const remaining = instances.reduce((sum, inst) => sum + (inst.daily_message_limit - inst.messages_sent_today), 0);
+    const [[{ inFlight }]] = await db.execute(
+        `SELECT COUNT(*) AS inFlight FROM campaign_recipients r JOIN messages m ON m.message_id = r.message_id
+         WHERE r.campaign_id = ? AND m.status IN ('scheduled','queued','sending','retrying')`,
+        [campaign.campaign_id]
+    );
+    return Math.max(0, remaining - inFlight);
+}
 
-        const keyData = keys[0];
-        const user_id = keyData.user_id;
+async function setCampaignStatus(campaignId, status, pauseReason = null) {
+    const db = getPool();
+    await db.execute(
+        `UPDATE campaigns SET status = ?, pause_reason = ?, completed_at = IF(? IN ('completed','cancelled'), NOW(), completed_at) WHERE campaign_id = ?`,
+        [status, pauseReason, status, campaignId]
+    );
+}
 
-        // Get phone and message from request
-        const { phone, message: msgBody } = req.body;
-        if (!phone || !msgBody) {
-            return res.status(400).json({ error: 'phone and message are required' });
-        }
+async function runCampaignBatch(campaign) {
+    const db = getPool();
+    const window = campaignWindow(campaign);
+    if (window && !sendWindows.isWithinWindow(window)) return;
 
-        // Get user data for routing decisions
-        const [users] = await db.execute(
-            `SELECT u.wallet_balance, u.default_prefix, p.daily_otp_limit, s.status as sub_status
-             FROM users u
-             LEFT JOIN subscriptions s ON u.id = s.user_id AND s.status = 'active'
-             LEFT JOIN plans p ON s.plan_id = p.id
-             WHERE u.id = ?`,
-            [user_id]
-        );
+    const capacity = await campaignCapacity(campaign);
+    const batchSize = Math.min(CAMPAIGN_BATCH_SIZE, capacity);
+    if (!batchSize) return;
 
-        if (!users.length) {
-            return res.status(500).json({ error: 'User not found' });
+    const [recipients] = await db.execute(
+        `SELECT id, phone_number, variables FROM campaign_recipients WHERE campaign_id = ? AND status = 'pending' ORDER BY id ASC LIMIT ${batchSize}`,
+        [campaign.campaign_id]
+    );
+    if (!recipients.length) {
+        const [[{ open }]] = await db.execute(
+            `SELECT COUNT(*) AS open FROM campaign_recipients r LEFT JOIN messages m ON m.message_id = r.message_id
+             WHERE r.campaign_id = ? AND (r.status = 'pending' OR m.status IN ('scheduled','queued','sending','retrying'))`,
+            [campaign.campaign_id]
+        );
+        if (!open) {
+            await setCampaignStatus(campaign.campaign_id, 'completed');
+            console.log(`[Campaigns] ${campaign.campaign_id} completed`);
         }
+        return;
+    }
 
-        const user = users[0];
-
-        // Get per OTP price
-        const [settings] = await db.execute("SELECT setting_value FROM settings WHERE setting_key = 'per_otp_price'");
-        const perOtpPrice = parseFloat(settings[0]?.setting_value || 0.50);
-
-        // Check daily usage
-        const todayStart = new Date().toISOString().slice(0, 10) + ' 00:00:00';
-        const [usage] = await db.execute(
-            'SELECT COUNT(*) as count FROM otp_logs WHERE user_id = ? AND created_at >= ?',
-            [user_id, todayStart]
+    const price = campaign.routing_type === 'shared' ? await getPerMessagePrice() : null;
+    for (const r of recipients) {
+        const messageId = crypto.randomUUID();
+        // Claim the row first — another pod's tick may be looking at the same batch
+        const [claimed] = await db.execute(
+            "UPDATE campaign_recipients SET status = 'queued', message_id = ? WHERE id = ? AND status = 'pending'",
+            [messageId, r.id]
         );
-        const usageToday = usage[0].count;
-
-        // Determine routing type
-        const hasSubscription = user.sub_status === 'active' && usageToday < user.daily_otp_limit;
-        let routingType = null;
+        if (!claimed.affectedRows) continue;
 
-        // Check for personal instance first
-        if (hasSubscription) {
-            const [personalCount] = await db.execute(
-                "SELECT COUNT(*) FROM whatsapp_instances WHERE user_id = ? AND status = 'connected' AND is_banned = 0",
-                [user_id]
-            );
-            if (personalCount[0]['COUNT(*)'] > 0) {
-                routingType = 'personal';
+        try {
+            const suppression = await findSuppression(campaign.user_id, r.phone_number);
+            if (suppression) {
+                await db.execute("UPDATE campaign_recipients SET status = 'skipped', message_id = NULL, error = ? WHERE id = ?", [`recipient_suppressed (${suppression.scope})`, r.id]);
+                continue;
             }
-        }
-
-        // Fallback to wallet/shared routing
-        if (!routingType) {
-            if (user.wallet_balance >= perOtpPrice) {
-                const [sharedCount] = await db.execute(
-                    "SELECT COUNT(*) FROM whatsapp_instances WHERE is_company_shared = 1 AND status = 'connected' AND is_banned = 0"
-                );
-                if (sharedCount[0]['COUNT(*)'] > 0) {
-                    routingType = 'wallet';
-                    // Deduct balance
-                    await db.execute('UPDATE users SET wallet_balance = wallet_balance - ? WHERE id = ?', [perOtpPrice, user_id]);
-                } else {
-                    return res.status(503).json({ error: 'Company routing is currently unavailable (no active shared numbers)' });
+            if (price !== null) {
+                const debit = await walletDebit(campaign.user_id, price, messageId);
+                if (!debit.success) {
+                    await db.execute("UPDATE campaign_recipients SET status = 'pending', message_id = NULL WHERE id = ?", [r.id]);
+                    await setCampaignStatus(campaign.campaign_id, 'paused', 'insufficient_funds');
+                    console.log(`[Campaigns] ${campaign.campaign_id} paused: insufficient wallet balance`);
+                    return;
                 }
-            } else {
-                return res.status(402).json({ error: 'Insufficient Limits/Funds. Please top-up your wallet or link a personal WhatsApp device on an active subscription.' });
             }
+            const variables = typeof r.variables === 'string' ? JSON.parse(r.variables) : (r.variables || {});
+            // Recipients inside the user's quiet hours wait for them to end
+            const quiet = await applyQuietHours(campaign.user_id, r.phone_number);
+            await enqueueMessage({
+                messageId,
+                routing: campaign.routing_type,
+                userId: campaign.user_id,
+                apiKeyId: campaign.api_key_id,
+                phone: r.phone_number,
+                text: otp.renderTemplate(campaign.body, { ...variables, phone: r.phone_number }),
+                walletCharge: price,
+                sendAt: quiet.sendAt
+            });
+        } catch (err) {
+            if (price !== null) await walletRefund(campaign.user_id, messageId);
+            await db.execute("UPDATE campaign_recipients SET status = 'failed', error = ? WHERE id = ?", [String(err.message).slice(0, 255), r.id]);
+            console.error(`[Campaigns] ${campaign.campaign_id} failed to queue ${r.phone_number}:`, err.message);
         }
+    }
+}
 
-        // Send the message
-        let result;
-        if (routingType === 'wallet') {
-            result = await sendWithSharedRotation(phone, msgBody);
-        } else {
-            result = await sendWithRotation(user_id, phone, msgBody);
-        }
+async function runCampaignScheduler() {
+    const db = getPool();
+    await db.execute("UPDATE campaigns SET status = 'running' WHERE status = 'scheduled' AND (start_at IS NULL OR start_at <= NOW())");
+    const [campaigns] = await db.execute(
+        `SELECT campaign_id, user_id, api_key_id, body, routing_type, window_start, window_end, window_timezone
+         FROM campaigns WHERE status = 'running' ORDER BY id ASC`
+    );
+    for (const campaign of campaigns) {
+        await runCampaignBatch(campaign).catch(err => console.error(`[Campaigns] ${campaign.campaign_id} batch failed:`, err.message));
+    }
+}
 
-        if (!result.success) {
-            // Refund wallet if failed
-            if (routingType === 'wallet') {
-                await db.execute('UPDATE users SET wallet_balance = wallet_balance + ? WHERE id = ?', [perOtpPrice, user_id]);
-            }
-            return res.status(result.all_exhausted ? 503 : 500).json({ error: result.error || 'Failed to send message' });
-        }
+// Per-recipient outcome: the message's own status once queued, otherwise the recipient row's
+async function campaignProgress(campaignId) {
+    const db = getPool();
+    const [rows] = await db.execute(
+        `SELECT COALESCE(m.status, r.status) AS state, COUNT(*) AS count
+         FROM campaign_recipients r LEFT JOIN messages m ON m.message_id = r.message_id
+         WHERE r.campaign_id = ? GROUP BY state`,
+        [campaignId]
+    );
+    return Object.fromEntries(rows.map(r => [r.state, r.count]));
+}
 
-        // Generate and log OTP
-        const rawOtp = String(Math.floor(100000 + Math.random() * 900000));
-        const hashedOtp = require('crypto').createHash('sha256').update(rawOtp).digest('hex');
-        const expiresAt = new Date(Date.now() + 5 * 60 * 1000).toISOString().slice(0, 19).replace(' ', ' ');
+function formatCampaign(c) {
+    return {
+        campaign_id: c.campaign_id,
+        name: c.name,
+        status: c.status,
+        pause_reason: c.pause_reason,
+        routing: c.routing_type,
+        start_at: c.start_at,
+        send_window: c.window_start === null ? null : {
+            start: sendWindows.formatClock(c.window_start),
+            end: sendWindows.formatClock(c.window_end),
+            timezone: c.window_timezone
+        },
+        total_recipients: c.total_recipients,
+        created_at: c.created_at,
+        completed_at: c.completed_at
+    };
+}
 
-        await db.execute(
-            'INSERT INTO otp_logs (user_id, api_key_id, phone_number, hashed_otp, expires_at) VALUES (?, ?, ?, ?, ?)',
-            [user_id, keyData.id, phone, hashedOtp, expiresAt]
-        );
+async function findCampaign(campaignId, userId) {
+    const db = getPool();
+    const [rows] = await db.execute('SELECT * FROM campaigns WHERE campaign_id = ? AND user_id = ?', [campaignId, userId]);
+    return rows[0] || null;
+}
 
-        // Update last used
-        await db.execute('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [keyData.id]);
+// Body: { name?, message | template (+ locale), recipients: [{ phone, variables? }], routing?: 'personal' | 'shared',
+//         start_at?: ISO time, send_window?: { start: 'HH:MM', end: 'HH:MM', timezone? } }
+app.post('/api/campaigns', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const userId = req.apiKey.user_id;
+        const { recipients, send_window: sendWindow } = req.body;
 
-        res.json({
-            success: true,
-            message: 'OTP Dispatched via WhatsApp',
-            log_id: result.log_id,
-            expires_in: 300,
-            instance_used: result.phone_number,
-            rotated: result.rotated || false
-        });
+        // Campaigns send plain messages — only 'message' templates, and nothing that expects an OTP code
+        let body = req.body.message;
+        if (req.body.template) {
+            const resolved = await resolveTemplate(userId, req.body.template, req.body.locale, 'message');
+            if (!resolved) return res.status(404).json({ error: `Message template '${req.body.template}' not found` });
+            body = resolved.body;
+        }
+        if (!body || typeof body !== 'string') return res.status(400).json({ error: 'message or template is required' });
+        if (otp.hasCodePlaceholder(body)) return res.status(400).json({ error: 'campaign messages cannot use the {{code}} placeholder' });
 
-    } catch (err) {
-        console.error('[api/send] Error:', err);
-        res.status(500).json({ error: err.message });
-    }
-});
+        if (!Array.isArray(recipients) || !recipients.length) return res.status(400).json({ error: 'recipients must be a non-empty array' });
+        if (recipients.length > CAMPAIGN_MAX_RECIPIENTS) return res.status(400).json({ error: `at most ${CAMPAIGN_MAX_RECIPIENTS} recipients per campaign` });
 
-// ═══════════════════════════════════════════════
-//  PUBLIC API VERIFY ENDPOINT
-// ═══════════════════════════════════════════════
+        const routing = req.body.routing || 'personal';
+        if (!['personal', 'shared'].includes(routing)) return res.status(400).json({ error: "routing must be 'personal' or 'shared'" });
 
-app.post('/api/verify', async (req, res) => {
-    try {
-        // Extract API key from Authorization header
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+        let startAt = null;
+        if (req.body.start_at) {
+            startAt = new Date(req.body.start_at);
+            if (isNaN(startAt)) return res.status(400).json({ error: 'start_at must be an ISO 8601 timestamp' });
+        }
+        let window = null;
+        if (sendWindow) {
+            const parsed = sendWindows.parseWindow(sendWindow);
+            if (parsed.error) return res.status(400).json({ error: parsed.error });
+            window = parsed.window;
         }
-        const apiKey = authHeader.substring(7);
 
-        // Validate API key against database
-        const db = getPool();
-        const [keys] = await db.execute(
-            'SELECT id, user_id, is_active FROM api_keys WHERE api_key = ? AND is_active = 1 LIMIT 1',
-            [apiKey]
-        );
+        // Normalize and de-duplicate; bad rows are reported back instead of failing the whole list
+        const prefix = await getDefaultPrefix(userId);
+        const accepted = new Map();
+        const rejected = [];
+        recipients.forEach((r, index) => {
+            const normalized = normalizePhone(r?.phone, prefix);
+            if (normalized.error) return rejected.push({ index, phone: r?.phone ?? null, error: normalized.error });
+            if (r.variables !== undefined && (typeof r.variables !== 'object' || Array.isArray(r.variables))) {
+                return rejected.push({ index, phone: r.phone, error: 'variables must be an object' });
+            }
+            if (accepted.has(normalized.e164)) return rejected.push({ index, phone: r.phone, error: 'duplicate recipient' });
+            accepted.set(normalized.e164, r.variables || {});
+        });
+        if (!accepted.size) return res.status(400).json({ error: 'no valid recipients', rejected });
 
-        if (!keys.length) {
-            return res.status(401).json({ error: 'Invalid or revoked API Key' });
-        }
+        const campaignId = crypto.randomUUID();
+        await withTransaction(async (conn) => {
+            await conn.execute(
+                `INSERT INTO campaigns (campaign_id, user_id, api_key_id, name, body, routing_type, start_at, window_start, window_end, window_timezone, total_recipients)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [campaignId, userId, req.apiKey.id, req.body.name ? String(req.body.name).slice(0, 255) : null, body, routing,
+                    startAt ? startAt.toISOString().slice(0, 19).replace('T', ' ') : null,
+                    window?.startMinutes ?? null, window?.endMinutes ?? null, window?.timeZone ?? null, accepted.size]
+            );
+            const rows = [...accepted.entries()];
+            for (let i = 0; i < rows.length; i += 500) {
+                const chunk = rows.slice(i, i + 500);
+                await conn.query(
+                    'INSERT INTO campaign_recipients (campaign_id, phone_number, variables) VALUES ?',
+                    [chunk.map(([phone, vars]) => [campaignId, phone, JSON.stringify(vars)])]
+                );
+            }
+        });
 
-        const keyData = keys[0];
-        const user_id = keyData.user_id;
+        const [created] = await db.execute('SELECT * FROM campaigns WHERE campaign_id = ?', [campaignId]);
+        res.status(201).json({ ...formatCampaign(created[0]), rejected });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        // Get phone and code from request
-        const { phone, code } = req.body;
-        if (!phone || !code) {
-            return res.status(400).json({ error: 'phone and code are required' });
-        }
+app.get('/api/campaigns', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const [rows] = await db.execute(`SELECT * FROM campaigns WHERE user_id = ? ORDER BY id DESC LIMIT ${limit}`, [req.apiKey.user_id]);
+        res.json({ campaigns: rows.map(formatCampaign) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        // Clean phone number
-        const cleanPhone = phone.replace(/[^0-9]/g, '');
+app.get('/api/campaigns/:id', requireApiKey, async (req, res) => {
+    try {
+        const campaign = await findCampaign(req.params.id, req.apiKey.user_id);
+        if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+        res.json({ ...formatCampaign(campaign), progress: await campaignProgress(campaign.campaign_id) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        // Find the most recent valid OTP for this phone
-        const [logs] = await db.execute(
-            `SELECT id, hashed_otp, expires_at FROM otp_logs
-             WHERE user_id = ? AND phone_number LIKE ? AND expires_at > NOW()
-             ORDER BY created_at DESC LIMIT 1`,
-            [user_id, `%${cleanPhone}%`]
+// Recipient-level detail, optionally ?status=pending|queued|skipped|failed
+app.get('/api/campaigns/:id/recipients', requireApiKey, async (req, res) => {
+    try {
+        const campaign = await findCampaign(req.params.id, req.apiKey.user_id);
+        if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+        const where = ['r.campaign_id = ?'];
+        const values = [campaign.campaign_id];
+        if (req.query.status) { where.push('r.status = ?'); values.push(String(req.query.status)); }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const [rows] = await getPool().execute(
+            `SELECT r.phone_number, r.status, r.error, r.message_id, m.status AS message_status, m.sent_at, m.delivered_at
+             FROM campaign_recipients r LEFT JOIN messages m ON m.message_id = r.message_id
+             WHERE ${where.join(' AND ')} ORDER BY r.id ASC LIMIT ${limit} OFFSET ${offset}`,
+            values
         );
+        res.json({ recipients: rows });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        if (!logs.length) {
-            return res.status(400).json({ valid: false, error: 'No valid OTP found for this phone number' });
-        }
+// pause / resume / cancel — each is only valid from some states
+const CAMPAIGN_TRANSITIONS = {
+    pause: { from: ['scheduled', 'running'], to: 'paused' },
+    resume: { from: ['paused'], to: 'running' },
+    cancel: { from: ['scheduled', 'running', 'paused'], to: 'cancelled' }
+};
 
-        const otpRecord = logs[0];
-        const hashedInput = require('crypto').createHash('sha256').update(code).digest('hex');
+app.post('/api/campaigns/:id/:action(pause|resume|cancel)', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const campaign = await findCampaign(req.params.id, req.apiKey.user_id);
+        if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+        const transition = CAMPAIGN_TRANSITIONS[req.params.action];
+        if (!transition.from.includes(campaign.status)) {
+            return res.status(409).json({ error: `Cannot ${req.params.action} a ${campaign.status} campaign` });
+        }
 
-        if (hashedInput !== otpRecord.hashed_otp) {
-            return res.status(400).json({ valid: false, error: 'Invalid OTP code' });
+        // A resumed campaign that hasn't reached its start time goes back to waiting for it
+        const to = req.params.action === 'resume' && campaign.start_at && new Date(campaign.start_at) > new Date() ? 'scheduled' : transition.to;
+        await setCampaignStatus(campaign.campaign_id, to, req.params.action === 'pause' ? 'paused_by_user' : null);
+        // Messages already handed to the queue still go out; nothing new is queued after a cancel
+        if (req.params.action === 'cancel') {
+            await db.execute("UPDATE campaign_recipients SET status = 'skipped', error = 'campaign cancelled' WHERE campaign_id = ? AND status = 'pending'", [campaign.campaign_id]);
         }
+        const updated = await findCampaign(campaign.campaign_id, req.apiKey.user_id);
+        res.json({ ...formatCampaign(updated), progress: await campaignProgress(campaign.campaign_id) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        // Mark OTP as used
-        await db.execute('UPDATE otp_logs SET verified_at = NOW() WHERE id = ?', [otpRecord.id]);
+// ═══════════════════════════════════════════════
+//  PUBLIC API ROTATION SETTINGS
+// ═══════════════════════════════════════════════
 
+// Current strategy plus the health score each of the user's instances would be ranked by
+app.get('/api/rotation', requireApiKey, async (req, res) => {
+    try {
+        const strategy = await getRotationStrategy(req.apiKey.user_id);
+        const instances = await getAllInstancesForUser(req.apiKey.user_id);
         res.json({
-            valid: true,
-            message: 'OTP verified successfully'
+            strategy,
+            available_strategies: rotation.STRATEGIES,
+            instances: instances.map(i => ({ instance_id: i.instance_id, phone_number: i.phone_number, health: instanceHealth.snapshot(i.instance_id) }))
         });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-    } catch (err) {
-        console.error('[api/verify] Error:', err);
-        res.status(500).json({ error: err.message });
-    }
+app.put('/api/rotation', requireApiKey, async (req, res) => {
+    try {
+        const { strategy } = req.body;
+        if (!rotation.STRATEGIES.includes(strategy)) {
+            return res.status(400).json({ error: `strategy must be one of: ${rotation.STRATEGIES.join(', ')}` });
+        }
+        const db = getPool();
+        await db.execute('UPDATE users SET rotation_strategy = ? WHERE id = ?', [strategy, req.apiKey.user_id]);
+        res.json({ success: true, strategy });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ═══════════════════════════════════════════════
+//  PUBLIC API WALLET
+// ═══════════════════════════════════════════════
+
+app.get('/api/wallet', requireApiKey, async (req, res) => {
+    try {
+        const db = getPool();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const [[user]] = await db.execute('SELECT wallet_balance FROM users WHERE id = ?', [req.apiKey.user_id]);
+        const [transactions] = await db.execute(
+            `SELECT type, amount, balance_after, message_id, reference, created_at FROM wallet_transactions
+             WHERE user_id = ? ORDER BY id DESC LIMIT ${limit} OFFSET ${offset}`,
+            [req.apiKey.user_id]
+        );
+        res.json({ balance: user ? parseFloat(user.wallet_balance) : 0, transactions });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Top-ups come from the website's payment flow: { user_id, amount, reference }
+app.post('/wallet/topup', requireServiceAuth, async (req, res) => {
+    try {
+        if (!req.caller.admin) return res.status(403).json({ error: 'Top-ups require the service token' });
+        const { user_id, reference } = req.body;
+        const amount = parseFloat(req.body.amount);
+        if (!user_id || !(amount > 0)) return res.status(400).json({ error: 'user_id and a positive amount required' });
+        res.json(await walletTopup(user_id, amount, reference || null));
+    } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.post('/disconnect/:instanceId', async (req, res) => {
+app.post('/disconnect/:instanceId', requireServiceAuth, requireInstanceAccess, async (req, res) => {
     try { await disconnectSession(req.params.instanceId); res.json({ success: true }); }
     catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.get('/instances/:userId', async (req, res) => {
+app.get('/instances/:userId', requireServiceAuth, async (req, res) => {
     try {
+        if (!canActForUser(req, req.params.userId)) return res.status(403).json({ error: 'Cannot list another user\'s instances' });
         const instances = await getAllInstancesForUser(req.params.userId);
         const enriched = instances.map(i => ({ ...i, live_status: getSession(i.instance_id)?.status || i.status, has_qr: !!getSession(i.instance_id)?.qr }));
         res.json({ instances: enriched });
@@ -843,7 +3934,7 @@ app.get('/instances/:userId', async (req, res) => {
 });
 
 // Delete / remove an instance
-app.delete('/instance/:instanceId', async (req, res) => {
+app.delete('/instance/:instanceId', requireServiceAuth, requireInstanceAccess, async (req, res) => {
     try {
         const { instanceId } = req.params;
         // Close socket if active
@@ -862,14 +3953,23 @@ app.delete('/instance/:instanceId', async (req, res) => {
     }
 });
 
-app.post('/create-instance', async (req, res) => {
+app.post('/create-instance', requireServiceAuth, async (req, res) => {
     try {
-        const { user_id } = req.body;
+        const user_id = req.body.user_id || req.caller.userId;
         if (!user_id) return res.status(400).json({ error: 'user_id required' });
+        if (!canActForUser(req, user_id)) return res.status(403).json({ error: 'Cannot create instances for another user' });
+        // With `phone` the new number is linked by pairing code rather than QR
+        let pairingPhone = null;
+        if (req.body.phone) {
+            const normalized = normalizePhone(req.body.phone, await getDefaultPrefix(user_id));
+            if (normalized.error) return res.status(400).json({ error: normalized.error });
+            pairingPhone = normalized.digits;
+        }
         const instanceId = `wa_${user_id}_${Date.now()}`;
         await createInstanceRecord(user_id, instanceId);
-        await startSession(instanceId);
+        await startSession(instanceId, { pairingPhone });
         const s = await waitForQr(instanceId, 20);
+        if (pairingPhone) return res.json({ success: true, ...pairingResponse(instanceId, s) });
         let qr = null;
         if (s?.qr) qr = await QRCode.toDataURL(s.qr);
         res.json({ success: true, instance_id: instanceId, status: s?.status || 'connecting', qr });
@@ -879,10 +3979,80 @@ app.post('/create-instance', async (req, res) => {
     }
 });
 
+// Per-instance pacing: any of min_send_interval_ms, send_jitter_ms, max_per_minute, max_per_hour,
+// warmup_days, typing_presence, daily_message_limit (null resets a field to the default)
+const PACING_FIELDS = ['min_send_interval_ms', 'send_jitter_ms', 'max_per_minute', 'max_per_hour', 'warmup_days', 'typing_presence', 'daily_message_limit'];
+
+app.put('/instance/:instanceId/pacing', requireServiceAuth, requireInstanceAccess, async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const fields = [];
+        const values = [];
+        for (const field of PACING_FIELDS) {
+            if (!(field in req.body)) continue;
+            const raw = req.body[field];
+            const value = raw === null ? null : (field === 'typing_presence' ? (raw ? 1 : 0) : parseInt(raw, 10));
+            if (value !== null && (!Number.isInteger(value) || value < 0)) return res.status(400).json({ error: `${field} must be a non-negative integer or null` });
+            if (field === 'daily_message_limit' && value === null) return res.status(400).json({ error: 'daily_message_limit cannot be null' });
+            fields.push(`${field} = ?`);
+            values.push(value);
+        }
+        if (!fields.length) return res.status(400).json({ error: `Provide at least one of: ${PACING_FIELDS.join(', ')}` });
+
+        const db = getPool();
+        values.push(instanceId);
+        await db.execute(`UPDATE whatsapp_instances SET ${fields.join(', ')} WHERE instance_id = ?`, values);
+
+        const config = await loadPacingConfig(instanceId);
+        const s = sessions.get(instanceId);
+        if (s) s.pacing = config;
+        res.json({ success: true, instance_id: instanceId, pacing: config });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// State change history, newest first — for reviewing quarantines and bans
+app.get('/instance/:instanceId/history', requireServiceAuth, requireInstanceAccess, async (req, res) => {
+    try {
+        const db = getPool();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+        const [rows] = await db.execute(
+            `SELECT from_status, to_status, reason, code, created_at FROM instance_state_history
+             WHERE instance_id = ? ORDER BY id DESC LIMIT ${limit}`,
+            [req.params.instanceId]
+        );
+        const [[instance]] = await db.execute(
+            'SELECT status, is_banned, quarantined_until, quarantine_reason FROM whatsapp_instances WHERE instance_id = ?',
+            [req.params.instanceId]
+        );
+        res.json({ instance_id: req.params.instanceId, current: instance || null, history: rows });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Operator override for a false positive: lift a quarantine or ban and reconnect
+app.post('/instance/:instanceId/restore', requireServiceAuth, async (req, res) => {
+    try {
+        if (!req.caller.admin) return res.status(403).json({ error: 'Restoring instances requires the service token' });
+        const { instanceId } = req.params;
+        const db = getPool();
+        const previous = await getInstanceStatus(instanceId);
+        if (!previous) return res.status(404).json({ error: 'Instance not found' });
+        await db.execute(
+            `UPDATE whatsapp_instances SET is_banned = 0, quarantined_until = NULL, quarantine_reason = NULL, status = 'disconnected' WHERE instance_id = ?`,
+            [instanceId]
+        );
+        await recordStateChange(instanceId, previous, 'disconnected', `Manual restore${req.body.note ? `: ${req.body.note}` : ''}`);
+        const s = await startSession(instanceId);
+        res.json({ success: true, instance_id: instanceId, previous_status: previous, status: s?.status || 'connecting' });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 // Force restart a stuck instance
-app.post('/restart/:instanceId', async (req, res) => {
+app.post('/restart/:instanceId', requireServiceAuth, requireInstanceAccess, async (req, res) => {
     try {
         const { instanceId } = req.params;
+        if (await getQuarantineState(instanceId) === 'active') {
+            return res.status(409).json({ error: 'Instance is quarantined — wait for the cool-down or ask an operator to restore it' });
+        }
         const existing = sessions.get(instanceId);
         if (existing?.socket) {
             try { existing.socket.end(); } catch (e) { }
@@ -890,7 +4060,8 @@ app.post('/restart/:instanceId', async (req, res) => {
         sessions.delete(instanceId);
         // Clear auth data to force fresh QR
         const db = getPool();
-        await db.execute('UPDATE whatsapp_instances SET auth_creds = NULL, auth_keys = NULL, status = ? WHERE instance_id = ?', ['disconnected', instanceId]);
+        // A re-link may be a different number — restart its warm-up too
+        await db.execute('UPDATE whatsapp_instances SET auth_creds = NULL, auth_keys = NULL, linked_at = NULL, status = ? WHERE instance_id = ?', ['disconnected', instanceId]);
         await startSession(instanceId);
         const s = await waitForQr(instanceId, 20);
         let qr = null;
@@ -913,11 +4084,28 @@ async function main() {
     fetchLatestBaileysVersion = baileys.fetchLatestBaileysVersion;
     initAuthCreds = baileys.initAuthCreds;
     BufferJSON = baileys.BufferJSON;
+    generateWAMessageFromContent = baileys.generateWAMessageFromContent;
+    prepareWAMessageMedia = baileys.prepareWAMessageMedia;
     console.log('Baileys loaded successfully!');
 
+    if (!SERVICE_TOKEN) console.warn('[Auth] SERVICE_TOKEN is not set — management routes will refuse every request');
+
     // Create tables on Aiven if they don't exist
     await initDatabase();
 
+    // Start draining the outbound and webhook queues
+    startQueueWorkers();
+    recoverScheduledMessages().catch(err => console.error('[Queue] Scheduled send recovery failed:', err.message));
+    startWebhookWorker();
+    setInterval(() => sweepExpiredOtps().catch(err => console.error('[Webhooks] Expiry sweep failed:', err.message)), 60 * 1000);
+    setInterval(() => purgeVerifyFailures().catch(err => console.error('[Verify] Failure purge failed:', err.message)), 60 * 60 * 1000);
+    setInterval(() => purgeIdempotencyKeys().catch(err => console.error('[Idempotency] Purge failed:', err.message)), 60 * 60 * 1000);
+    setInterval(() => mediaStore.purgeStaleUploads((MAX_SCHEDULE_DAYS + 1) * 86400 * 1000).catch(err => console.error('[Media] Upload purge failed:', err.message)), 60 * 60 * 1000);
+    setInterval(() => runCampaignScheduler().catch(err => console.error('[Campaigns] Scheduler tick failed:', err.message)), CAMPAIGN_TICK_MS);
+    setInterval(() => probeQuarantinedInstances().catch(err => console.error('[Quarantine] Probe sweep failed:', err.message)), 60 * 1000);
+    reconcileWalletRefunds().catch(err => console.error('[Wallet] Reconcile failed:', err.message));
+    setInterval(() => reconcileWalletRefunds().catch(err => console.error('[Wallet] Reconcile failed:', err.message)), 5 * 60 * 1000);
+
     // Restore previously connected sessions
     try {
         const db = getPool();
@@ -947,7 +4135,7 @@ async function main() {
             const http = require('http');
             const https = require('https');
             const lib = selfUrl.startsWith('https') ? https : http;
-            lib.get(`${selfUrl}/status`, (res) => {
+            lib.get(`${selfUrl}/health`, (res) => {
                 // silent — just keeping the process alive
             }).on('error', () => {});
         } catch (e) {}
@@ -0,0 +1,77 @@
+/**
+ * serviceAuth.js — Credentials for the internal management routes
+ * The website backend holds SERVICE_TOKEN (full access) and mints short-lived, user-scoped
+ * tokens for the dashboard so the browser never sees the service token
+ */
+
+const crypto = require('crypto');
+
+const USER_TOKEN_PREFIX = 'ut1';
+const STREAM_TOKEN_PREFIX = 'st1';
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function sign(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Mint a user-scoped token: ut1.<userId>.<expiresAtUnix>.<signature>
+ */
+function signUserToken(secret, userId, ttlSeconds = 3600, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+    const data = `${USER_TOKEN_PREFIX}.${userId}.${expiresAt}`;
+    return `${data}.${sign(secret, data)}`;
+}
+
+/**
+ * Resolve a bearer credential to a caller:
+ *   { admin: true }                  — the service token itself
+ *   { admin: false, userId }         — a valid, unexpired user token
+ *   null                             — anything else
+ */
+function verifyCredential(secret, credential, now = Date.now()) {
+    if (!secret || !credential) return null;
+    if (safeEqual(credential, secret)) return { admin: true };
+
+    const parts = String(credential).split('.');
+    if (parts.length !== 4 || parts[0] !== USER_TOKEN_PREFIX) return null;
+    const [prefix, userId, expiresAt, signature] = parts;
+    if (!safeEqual(signature, sign(secret, `${prefix}.${userId}.${expiresAt}`))) return null;
+    if (parseInt(expiresAt, 10) < Math.floor(now / 1000)) return null;
+    return { admin: false, userId: parseInt(userId, 10) };
+}
+
+/**
+ * Mint a token for one instance's event stream: st1.<base64url instanceId>.<expiresAtUnix>.<signature>
+ * It goes in a URL (EventSource can't set headers), so it opens that stream only and is never a credential
+ */
+function signStreamToken(secret, instanceId, ttlSeconds = 300, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+    const data = `${STREAM_TOKEN_PREFIX}.${Buffer.from(String(instanceId)).toString('base64url')}.${expiresAt}`;
+    return `${data}.${sign(secret, data)}`;
+}
+
+/**
+ * true when `token` is a valid, unexpired stream token for instanceId
+ */
+function verifyStreamToken(secret, token, instanceId, now = Date.now()) {
+    if (!secret || !token) return false;
+    const parts = String(token).split('.');
+    if (parts.length !== 4 || parts[0] !== STREAM_TOKEN_PREFIX) return false;
+    const [prefix, encodedId, expiresAt, signature] = parts;
+    if (!safeEqual(signature, sign(secret, `${prefix}.${encodedId}.${expiresAt}`))) return false;
+    if (parseInt(expiresAt, 10) < Math.floor(now / 1000)) return false;
+    return safeEqual(encodedId, Buffer.from(String(instanceId)).toString('base64url'));
+}
+
+module.exports = {
+    signUserToken,
+    verifyCredential,
+    signStreamToken,
+    verifyStreamToken
+};
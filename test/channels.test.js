@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const net = require('node:net');
+const { parseFallbackList, createHttpSmsChannel, createSmtpEmailChannel, sendWithFallback } = require('../channels');
+
+// Local SMS gateway: records each request and answers with `reply(body)` -> { status, body }
+async function startSmsStub(reply) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw || '{}');
+            requests.push({ headers: req.headers, body });
+            const answer = reply(body);
+            if (answer === null) return; // never answer — lets the client time out
+            res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(answer.body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/send`, requests, close: () => { server.closeAllConnections(); server.close(); } };
+}
+
+// Minimal SMTP server: enough of RFC 5321 for nodemailer without TLS or auth.
+// Recipients in `rejectRecipients` get a 550.
+async function startSmtpStub({ rejectRecipients = [] } = {}) {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        let current = { from: null, to: [], data: '' };
+        const reply = (line) => socket.write(`${line}\r\n`);
+        reply('220 stub ESMTP');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let idx;
+            while ((idx = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, idx);
+                buffer = buffer.slice(idx + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(current);
+                        current = { from: null, to: [], data: '' };
+                        reply(`250 OK id=stub-${messages.length}`);
+                    } else {
+                        current.data += line.replace(/^\.\./, '.') + '\n';
+                    }
+                    continue;
+                }
+                const verb = line.slice(0, 4).toUpperCase();
+                if (verb === 'EHLO' || verb === 'HELO') reply('250 stub');
+                else if (verb === 'MAIL') { current.from = line.slice(10).replace(/[<>]/g, ''); reply('250 OK'); }
+                else if (verb === 'RCPT') {
+                    const to = line.slice(8).replace(/[<>]/g, '');
+                    if (rejectRecipients.includes(to)) reply('550 No such user');
+                    else { current.to.push(to); reply('250 OK'); }
+                }
+                else if (verb === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+                else if (verb === 'RSET') { current = { from: null, to: [], data: '' }; reply('250 OK'); }
+                else if (verb === 'QUIT') { reply('221 Bye'); socket.end(); }
+                else reply('502 Not implemented');
+            }
+        });
+        socket.on('error', () => { });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { port: server.address().port, messages, close: () => server.close() };
+}
+
+test('parseFallbackList accepts arrays and comma lists and drops whatsapp', () => {
+    assert.deepEqual(parseFallbackList('sms, email,sms'), { channels: ['sms', 'email'] });
+    assert.deepEqual(parseFallbackList(['whatsapp', 'EMAIL']), { channels: ['email'] });
+    assert.deepEqual(parseFallbackList(null), { channels: [] });
+    assert.match(parseFallbackList('fax').error, /not supported/);
+});
+
+test('SMS adapter posts the message with the bearer token and keeps the provider id', async (t) => {
+    const stub = await startSmsStub(() => ({ status: 200, body: { id: 'sms-1' } }));
+    t.after(stub.close);
+    const sms = createHttpSmsChannel({ url: stub.url, token: 'secret', from: 'OTPFlow' });
+
+    const result = await sms.send({ to: '+919876543210', text: 'Your code is 123456' });
+    assert.deepEqual(result, { success: true, providerMessageId: 'sms-1' });
+    assert.equal(stub.requests.length, 1);
+    assert.equal(stub.requests[0].headers.authorization, 'Bearer secret');
+    assert.deepEqual(stub.requests[0].body, { to: '+919876543210', from: 'OTPFlow', text: 'Your code is 123456' });
+});
+
+test('SMS adapter reports gateway errors instead of throwing', async (t) => {
+    const stub = await startSmsStub(() => ({ status: 422, body: { error: 'invalid number' } }));
+    t.after(stub.close);
+    const sms = createHttpSmsChannel({ url: stub.url });
+
+    assert.deepEqual(await sms.send({ to: '+1', text: 'x' }), { success: false, error: 'invalid number' });
+});
+
+test('SMS adapter gives up after its timeout', async (t) => {
+    const stub = await startSmsStub(() => null);
+    t.after(stub.close);
+    const sms = createHttpSmsChannel({ url: stub.url, timeoutMs: 200 });
+
+    const result = await sms.send({ to: '+919876543210', text: 'x' });
+    assert.equal(result.success, false);
+    assert.ok(result.error);
+});
+
+test('email adapter delivers through SMTP', async (t) => {
+    const stub = await startSmtpStub();
+    t.after(stub.close);
+    const email = createSmtpEmailChannel({ host: '127.0.0.1', port: stub.port, from: 'otp@example.com', timeoutMs: 2000 });
+
+    const result = await email.send({ email: 'user@example.com', text: 'Your code is 654321', subject: 'Acme verification code' });
+    assert.equal(result.success, true);
+    assert.ok(result.providerMessageId);
+    assert.equal(stub.messages.length, 1);
+    assert.equal(stub.messages[0].from, 'otp@example.com');
+    assert.deepEqual(stub.messages[0].to, ['user@example.com']);
+    assert.match(stub.messages[0].data, /Subject: Acme verification code/);
+    assert.match(stub.messages[0].data, /Your code is 654321/);
+});
+
+test('email adapter fails without an address or when the server rejects the recipient', async (t) => {
+    const stub = await startSmtpStub({ rejectRecipients: ['nobody@example.com'] });
+    t.after(stub.close);
+    const email = createSmtpEmailChannel({ host: '127.0.0.1', port: stub.port, from: 'otp@example.com', timeoutMs: 2000 });
+
+    assert.deepEqual(await email.send({ email: null, text: 'x' }), { success: false, error: 'No email address for this recipient' });
+    const rejected = await email.send({ email: 'nobody@example.com', text: 'x' });
+    assert.equal(rejected.success, false);
+    assert.equal(stub.messages.length, 0);
+});
+
+test('sendWithFallback stops at the first channel that accepts and reports every attempt', async (t) => {
+    const stub = await startSmsStub(() => ({ status: 200, body: { message_id: 'sms-2' } }));
+    t.after(stub.close);
+    const whatsapp = { name: 'whatsapp', send: async () => ({ success: false, error: 'No available instances' }) };
+    const sms = createHttpSmsChannel({ url: stub.url });
+    const email = { name: 'email', send: async () => { throw new Error('should not be tried'); } };
+
+    const attempts = [];
+    const outcome = await sendWithFallback([whatsapp, sms, email], { to: '+919876543210', text: 'x' },
+        async (channel, result) => { attempts.push([channel.name, result.success]); });
+
+    assert.equal(outcome.success, true);
+    assert.equal(outcome.channel, 'sms');
+    assert.equal(outcome.result.providerMessageId, 'sms-2');
+    assert.deepEqual(outcome.errors, ['whatsapp: No available instances']);
+    assert.deepEqual(attempts, [['whatsapp', false], ['sms', true]]);
+});
+
+test('sendWithFallback turns a throwing adapter into a failed attempt', async () => {
+    const broken = { name: 'sms', send: async () => { throw new Error('boom'); } };
+    const outcome = await sendWithFallback([broken], { to: '+1', text: 'x' });
+    assert.equal(outcome.success, false);
+    assert.deepEqual(outcome.errors, ['sms: boom']);
+});
+
+test('sendWithFallback stops at a throttled channel instead of falling back', async () => {
+    const whatsapp = { name: 'whatsapp', send: async () => ({ success: false, error: 'Throttled', throttled: true, retryAfterMs: 4000 }) };
+    const sms = { name: 'sms', send: async () => { throw new Error('should not be tried'); } };
+
+    const outcome = await sendWithFallback([whatsapp, sms], { to: '+1', text: 'x' });
+    assert.equal(outcome.success, false);
+    assert.equal(outcome.throttled, true);
+    assert.equal(outcome.result.retryAfterMs, 4000);
+    assert.deepEqual(outcome.errors, ['whatsapp: Throttled']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const otp = require('../otp');
+
+test('renderTemplate fills known placeholders and leaves unknown ones', () => {
+    assert.equal(otp.renderTemplate('Code {{code}} for {{ app_name }}', { code: '123456', app_name: 'Acme' }), 'Code 123456 for Acme');
+    assert.equal(otp.renderTemplate('Hi {{name}}, {{code}}', { code: '42' }), 'Hi {{name}}, 42');
+});
+
+test('renderTemplate does not treat inherited properties as placeholders', () => {
+    assert.equal(otp.renderTemplate('{{constructor}} {{toString}}', {}), '{{constructor}} {{toString}}');
+});
+
+test('hasCodePlaceholder only accepts the {{code}} token', () => {
+    assert.equal(otp.hasCodePlaceholder('Your code is {{code}}'), true);
+    assert.equal(otp.hasCodePlaceholder('Your code is {{ code }}'), true);
+    assert.equal(otp.hasCodePlaceholder('Your code is {code}'), false);
+    assert.equal(otp.hasCodePlaceholder('Your code is {{codes}}'), false);
+    assert.equal(otp.hasCodePlaceholder('No placeholder'), false);
+});
+
+test('generateOtp respects length and alphabet', () => {
+    for (let i = 0; i < 50; i++) {
+        assert.match(otp.generateOtp(6, 'numeric'), /^\d{6}$/);
+        // No 0/O, 1/I/L in alphanumeric codes
+        assert.match(otp.generateOtp(8, 'alphanumeric'), /^[2-9A-HJKMNP-Z]{8}$/);
+    }
+});
+
+test('hashOtp ignores case and surrounding whitespace', () => {
+    assert.equal(otp.hashOtp(' ab3d '), otp.hashOtp('AB3D'));
+    assert.notEqual(otp.hashOtp('AB3D'), otp.hashOtp('AB3E'));
+});
+
+test('buildOtpMessage stores the hash of the code it renders', () => {
+    const options = { length: 6, type: 'numeric', ttlSeconds: 300, appName: 'Acme' };
+    const { code, hashedOtp, text } = otp.buildOtpMessage(null, options);
+    assert.equal(text, `Your Acme verification code is ${code}. It expires in 5 minutes.`);
+    assert.equal(hashedOtp, otp.hashOtp(code));
+
+    const custom = otp.buildOtpMessage('{{code}} is valid for {{expires_in}}', { ...options, ttlSeconds: 90 });
+    assert.equal(custom.text, `${custom.code} is valid for 90 seconds`);
+});
+
+test('resolveOtpOptions prefers the request over the key and the key over defaults', () => {
+    assert.deepEqual(otp.resolveOtpOptions({}, {}), {
+        length: otp.DEFAULTS.length, type: otp.DEFAULTS.type, ttlSeconds: otp.DEFAULTS.ttlSeconds, appName: otp.DEFAULTS.appName
+    });
+    const resolved = otp.resolveOtpOptions({ code_length: 8 }, { otp_length: 4, otp_type: 'alphanumeric', otp_ttl_seconds: 600, app_name: 'Acme' });
+    assert.deepEqual(resolved, { length: 8, type: 'alphanumeric', ttlSeconds: 600, appName: 'Acme' });
+});
+
+test('resolveOtpOptions rejects out-of-range values', () => {
+    assert.match(otp.resolveOtpOptions({ code_length: 3 }).error, /code_length/);
+    assert.match(otp.resolveOtpOptions({ code_length: 11 }).error, /code_length/);
+    assert.match(otp.resolveOtpOptions({ code_type: 'hex' }).error, /code_type/);
+    assert.match(otp.resolveOtpOptions({ ttl_seconds: 10 }).error, /ttl_seconds/);
+    assert.match(otp.resolveOtpOptions({ ttl_seconds: 7200 }).error, /ttl_seconds/);
+});
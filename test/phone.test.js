@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone, detectCallingCode, timeZoneForPhone, toJid } = require('../phone');
+
+test('international input is kept, whatever the formatting', () => {
+    assert.equal(normalizePhone('+91 98765-43210').e164, '+919876543210');
+    assert.equal(normalizePhone('0091 9876543210').e164, '+919876543210');
+    assert.equal(normalizePhone('+44 (20) 7946.0958').e164, '+442079460958');
+});
+
+test('national input gets the default prefix and loses its trunk 0', () => {
+    assert.equal(normalizePhone('09876543210', '+91').e164, '+919876543210');
+    assert.equal(normalizePhone('9876543210', '91').e164, '+919876543210');
+    // Already carries the prefix and has the right length for it
+    assert.equal(normalizePhone('919876543210', '+91').e164, '+919876543210');
+});
+
+test('the result reports digits and calling code', () => {
+    assert.deepEqual(normalizePhone('+1 415 555 0100'), { e164: '+14155550100', digits: '14155550100', callingCode: '1' });
+    assert.equal(detectCallingCode('971501234567'), '971');
+});
+
+test('impossible lengths for a known calling code are rejected', () => {
+    assert.match(normalizePhone('+91 98765 4321').error, /impossible length/);   // 9 national digits
+    assert.match(normalizePhone('+91 98765 432100').error, /impossible length/); // 11 national digits
+    assert.match(normalizePhone('+1 555 0100').error, /impossible length/);
+});
+
+test('unknown calling codes only get the E.164 bounds', () => {
+    assert.equal(normalizePhone('+372 5123 4567').e164, '+37251234567');
+    assert.match(normalizePhone('+372 512').error, /impossible length/);
+    assert.match(normalizePhone('+372 5123 4567 8901 2').error, /impossible length/);
+});
+
+test('empty input, letters and a leading 0 after the prefix are rejected', () => {
+    assert.equal(normalizePhone('').error, 'phone is required');
+    assert.equal(normalizePhone(null).error, 'phone is required');
+    assert.equal(normalizePhone('+91 98765abc10').error, 'phone contains invalid characters');
+    assert.match(normalizePhone('+0 123 456 7890').error, /impossible length or prefix/);
+});
+
+test('timeZoneForPhone and toJid work from the normalized number', () => {
+    assert.equal(timeZoneForPhone('+919876543210'), 'Asia/Kolkata');
+    assert.equal(timeZoneForPhone('+37251234567'), null);
+    assert.equal(toJid('+919876543210'), '919876543210@s.whatsapp.net');
+});
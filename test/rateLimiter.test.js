@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, consume, setRateLimitHeaders } = require('../rateLimiter');
+
+const rule = { limit: 2, windowSeconds: 10 };
+
+function fakeResponse() {
+    const headers = {};
+    return { headers, set(name, value) { headers[name] = value; } };
+}
+
+test('a full bucket allows bursts up to the limit, then refuses', async () => {
+    const store = createMemoryStore();
+    const t0 = 1_000_000;
+    const first = await consume(store, 'key:1', rule, t0);
+    const second = await consume(store, 'key:1', rule, t0);
+    const third = await consume(store, 'key:1', rule, t0);
+
+    assert.deepEqual([first.allowed, second.allowed, third.allowed], [true, true, false]);
+    assert.equal(first.remaining, 1);
+    assert.equal(third.remaining, 0);
+    assert.equal(third.resetSeconds, 10);
+    assert.equal(third.retryAfterSeconds, 5);
+});
+
+test('tokens refill at limit per window', async () => {
+    const store = createMemoryStore();
+    const t0 = 1_000_000;
+    await consume(store, 'key:1', rule, t0);
+    await consume(store, 'key:1', rule, t0);
+
+    assert.equal((await consume(store, 'key:1', rule, t0 + 4000)).allowed, false);
+    const refilled = await consume(store, 'key:1', rule, t0 + 5000);
+    assert.equal(refilled.allowed, true);
+    assert.equal(refilled.remaining, 0);
+    // Refill never goes past the limit
+    const later = await consume(store, 'key:1', rule, t0 + 600000);
+    assert.equal(later.remaining, 1);
+});
+
+test('buckets are separate per key', async () => {
+    const store = createMemoryStore();
+    await consume(store, 'key:1', rule, 0);
+    await consume(store, 'key:1', rule, 0);
+    assert.equal((await consume(store, 'key:1', rule, 0)).allowed, false);
+    assert.equal((await consume(store, 'key:2', rule, 0)).allowed, true);
+});
+
+test('setRateLimitHeaders sets RateLimit-* and Retry-After only when refused', async () => {
+    const store = createMemoryStore();
+    const allowedRes = fakeResponse();
+    setRateLimitHeaders(allowedRes, await consume(store, 'key:1', rule, 0));
+    assert.deepEqual(allowedRes.headers, { 'RateLimit-Limit': '2', 'RateLimit-Remaining': '1', 'RateLimit-Reset': '5' });
+
+    await consume(store, 'key:1', rule, 0);
+    const refusedRes = fakeResponse();
+    setRateLimitHeaders(refusedRes, await consume(store, 'key:1', rule, 0));
+    assert.deepEqual(refusedRes.headers, { 'RateLimit-Limit': '2', 'RateLimit-Remaining': '0', 'RateLimit-Reset': '10', 'Retry-After': '5' });
+});
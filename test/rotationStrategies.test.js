@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSeededRandom, createHealthTracker, orderInstances, normalizeStrategy } = require('../rotationStrategies');
+
+const instances = [
+    { instance_id: 'a', daily_message_limit: 100, messages_sent_today: 90, priority: 1 },
+    { instance_id: 'b', daily_message_limit: 100, messages_sent_today: 10, priority: 2 },
+    { instance_id: 'c', daily_message_limit: 100, messages_sent_today: 50, priority: 3 }
+];
+const ids = (list) => list.map(inst => inst.instance_id);
+
+test('createSeededRandom repeats its sequence for the same seed', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    const first = [a(), a(), a()];
+    assert.deepEqual([b(), b(), b()], first);
+    assert.ok(first.every(n => n >= 0 && n < 1));
+    assert.notDeepEqual([createSeededRandom(7)(), createSeededRandom(7)()], [createSeededRandom(8)(), createSeededRandom(8)()]);
+});
+
+test('weighted selection is deterministic with a seeded random', () => {
+    const order = ids(orderInstances('weighted', instances, { random: createSeededRandom(1) }));
+    for (let i = 0; i < 5; i++) {
+        assert.deepEqual(ids(orderInstances('weighted', instances, { random: createSeededRandom(1) })), order);
+    }
+    assert.deepEqual([...order].sort(), ['a', 'b', 'c']);
+});
+
+test('weighted selection favours remaining capacity', () => {
+    const random = createSeededRandom(2024);
+    const firsts = { a: 0, b: 0, c: 0 };
+    for (let i = 0; i < 1000; i++) firsts[orderInstances('weighted', instances, { random })[0].instance_id]++;
+    assert.ok(firsts.b > firsts.c && firsts.c > firsts.a, JSON.stringify(firsts));
+});
+
+test('weighted selection never picks an exhausted instance first while others have capacity', () => {
+    const pool = [
+        { instance_id: 'full', daily_message_limit: 10, messages_sent_today: 10 },
+        { instance_id: 'free', daily_message_limit: 10, messages_sent_today: 0 }
+    ];
+    const random = createSeededRandom(5);
+    for (let i = 0; i < 50; i++) assert.equal(orderInstances('weighted', pool, { random })[0].instance_id, 'free');
+});
+
+test('round_robin rotates from the cursor', () => {
+    assert.deepEqual(ids(orderInstances('round_robin', instances, { cursor: 0 })), ['a', 'b', 'c']);
+    assert.deepEqual(ids(orderInstances('round_robin', instances, { cursor: 4 })), ['b', 'c', 'a']);
+});
+
+test('least_used orders by messages sent today', () => {
+    assert.deepEqual(ids(orderInstances('least_used', instances)), ['b', 'c', 'a']);
+});
+
+test('health puts failing instances last', () => {
+    const now = Date.now();
+    const health = createHealthTracker();
+    for (let i = 0; i < 10; i++) health.recordSend('b', false, 500, now);
+    health.recordSend('a', true, 200, now);
+    assert.deepEqual(ids(orderInstances('health', instances, { health })), ['c', 'a', 'b']);
+});
+
+test('orderInstances leaves the input untouched', () => {
+    const before = ids(instances);
+    orderInstances('least_used', instances);
+    orderInstances('weighted', instances, { random: createSeededRandom(3) });
+    assert.deepEqual(ids(instances), before);
+});
+
+test('normalizeStrategy falls back to round_robin', () => {
+    assert.equal(normalizeStrategy('weighted'), 'weighted');
+    assert.equal(normalizeStrategy('random'), 'round_robin');
+    assert.equal(normalizeStrategy(undefined), 'round_robin');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWindow, isWithinWindow, nextWindowStart } = require('../sendWindows');
+
+const windowOf = (start, end, timezone) => parseWindow({ start, end, timezone }).window;
+
+test('nextWindowStart returns the date itself inside the window', () => {
+    const window = windowOf('09:00', '17:00', 'UTC');
+    const date = new Date('2026-03-10T12:34:56Z');
+    assert.equal(nextWindowStart(window, date), date);
+});
+
+test('nextWindowStart finds the opening later today and tomorrow', () => {
+    const window = windowOf('09:00', '17:00', 'Asia/Kolkata');
+    assert.equal(nextWindowStart(window, new Date('2026-03-10T01:00:00Z')).toISOString(), '2026-03-10T03:30:00.000Z');
+    assert.equal(nextWindowStart(window, new Date('2026-03-10T12:00:00Z')).toISOString(), '2026-03-11T03:30:00.000Z');
+});
+
+test('nextWindowStart handles windows that wrap past midnight', () => {
+    const window = windowOf('21:00', '07:00', 'UTC');
+    assert.ok(isWithinWindow(window, new Date('2026-03-10T23:00:00Z')));
+    assert.equal(nextWindowStart(window, new Date('2026-03-10T12:00:00Z')).toISOString(), '2026-03-10T21:00:00.000Z');
+});
+
+test('nextWindowStart keeps the local opening time across a spring-forward change', () => {
+    // New York moves from UTC-5 to UTC-4 at 02:00 on 8 March 2026
+    const window = windowOf('09:00', '17:00', 'America/New_York');
+    const next = nextWindowStart(window, new Date('2026-03-08T04:00:00Z')); // 23:00 EST on 7 March
+    assert.equal(next.toISOString(), '2026-03-08T13:00:00.000Z'); // 09:00 EDT
+});
+
+test('nextWindowStart keeps the local opening time across a fall-back change', () => {
+    // London moves from UTC+1 to UTC+0 at 02:00 on 25 October 2026
+    const window = windowOf('08:00', '20:00', 'Europe/London');
+    const next = nextWindowStart(window, new Date('2026-10-24T22:00:00Z')); // 23:00 BST on 24 October
+    assert.equal(next.toISOString(), '2026-10-25T08:00:00.000Z'); // 08:00 GMT
+});
+
+test('a start time skipped by the DST jump opens just after it', () => {
+    const window = windowOf('02:30', '05:00', 'America/New_York');
+    const next = nextWindowStart(window, new Date('2026-03-08T05:00:00Z')); // 00:00 EST
+    assert.equal(next.toISOString(), '2026-03-08T07:30:00.000Z'); // 03:30 EDT
+    assert.ok(isWithinWindow(window, next));
+});
+
+test('a start time repeated by the DST change opens at its first occurrence', () => {
+    const window = windowOf('01:30', '05:00', 'America/New_York'); // 1 November 2026: 01:30 happens twice
+    const next = nextWindowStart(window, new Date('2026-11-01T04:00:00Z')); // 00:00 EDT
+    assert.equal(next.toISOString(), '2026-11-01T05:30:00.000Z'); // 01:30 EDT
+});
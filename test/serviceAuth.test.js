@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signUserToken, verifyCredential, signStreamToken, verifyStreamToken } = require('../serviceAuth');
+
+const SECRET = 'service-secret';
+const NOW = 1_800_000_000_000;
+
+test('the service token itself is an admin credential', () => {
+    assert.deepEqual(verifyCredential(SECRET, SECRET), { admin: true });
+    assert.equal(verifyCredential(SECRET, null), null);
+    assert.equal(verifyCredential(null, SECRET), null);
+    assert.equal(verifyCredential(SECRET, 'service-secreT'), null);
+});
+
+test('a user token resolves to its user until it expires', () => {
+    const token = signUserToken(SECRET, 42, 3600, NOW);
+    assert.deepEqual(verifyCredential(SECRET, token, NOW), { admin: false, userId: 42 });
+    assert.deepEqual(verifyCredential(SECRET, token, NOW + 3600 * 1000), { admin: false, userId: 42 });
+    assert.equal(verifyCredential(SECRET, token, NOW + 3601 * 1000), null);
+});
+
+test('a user token is rejected when signed with another secret or altered', () => {
+    const token = signUserToken(SECRET, 42, 3600, NOW);
+    assert.equal(verifyCredential('other-secret', token, NOW), null);
+    const [prefix, , expiresAt, signature] = token.split('.');
+    assert.equal(verifyCredential(SECRET, `${prefix}.43.${expiresAt}.${signature}`, NOW), null);
+    assert.equal(verifyCredential(SECRET, `${prefix}.42.${Number(expiresAt) + 3600}.${signature}`, NOW), null);
+});
+
+test('a stream token opens only its own instance, until it expires', () => {
+    const token = signStreamToken(SECRET, 'inst_abc', 300, NOW);
+    assert.equal(verifyStreamToken(SECRET, token, 'inst_abc', NOW), true);
+    assert.equal(verifyStreamToken(SECRET, token, 'inst_other', NOW), false);
+    assert.equal(verifyStreamToken(SECRET, token, 'inst_abc', NOW + 301 * 1000), false);
+    assert.equal(verifyStreamToken('other-secret', token, 'inst_abc', NOW), false);
+});
+
+test('instance ids containing dots cannot be confused with token fields', () => {
+    const token = signStreamToken(SECRET, 'a.b.c', 300, NOW);
+    assert.equal(verifyStreamToken(SECRET, token, 'a.b.c', NOW), true);
+    assert.equal(verifyStreamToken(SECRET, token, 'a.b', NOW), false);
+});
+
+test('stream and user tokens are not interchangeable', () => {
+    const stream = signStreamToken(SECRET, 'inst_abc', 300, NOW);
+    const user = signUserToken(SECRET, 42, 3600, NOW);
+    assert.equal(verifyCredential(SECRET, stream, NOW), null);
+    assert.equal(verifyStreamToken(SECRET, user, 'inst_abc', NOW), false);
+    assert.equal(verifyStreamToken(SECRET, SECRET, 'inst_abc', NOW), false);
+});
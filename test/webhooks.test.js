@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const webhooks = require('../webhooks');
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ event: 'otp.verified', data: { phone: '+919876543210' } });
+const NOW = 1_800_000_000;
+
+test('verifySignature accepts a fresh signature over the exact body', () => {
+    const header = webhooks.signPayload(SECRET, BODY, NOW);
+    assert.match(header, /^t=1800000000,v1=[0-9a-f]{64}$/);
+    assert.equal(webhooks.verifySignature(SECRET, BODY, header, NOW), true);
+    assert.equal(webhooks.verifySignature(SECRET, BODY, header, NOW + 300), true);
+});
+
+test('verifySignature rejects another secret, a changed body or a changed timestamp', () => {
+    const header = webhooks.signPayload(SECRET, BODY, NOW);
+    assert.equal(webhooks.verifySignature('whsec_other', BODY, header, NOW), false);
+    assert.equal(webhooks.verifySignature(SECRET, BODY.replace('verified', 'expired'), header, NOW), false);
+    assert.equal(webhooks.verifySignature(SECRET, BODY, header.replace(`t=${NOW}`, `t=${NOW + 1}`), NOW), false);
+});
+
+test('verifySignature rejects stale or future timestamps', () => {
+    const header = webhooks.signPayload(SECRET, BODY, NOW);
+    assert.equal(webhooks.verifySignature(SECRET, BODY, header, NOW + 301), false);
+    assert.equal(webhooks.verifySignature(SECRET, BODY, header, NOW - 301), false);
+});
+
+test('verifySignature rejects missing and malformed headers', () => {
+    for (const header of [undefined, '', 'garbage', `t=${NOW}`, 'v1=abc', `t=${NOW},v1=abc`]) {
+        assert.equal(webhooks.verifySignature(SECRET, BODY, header, NOW), false);
+    }
+});
+
+test('private, loopback, link-local and metadata addresses are blocked', () => {
+    for (const address of ['127.0.0.1', '10.0.0.5', '172.16.3.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+        assert.equal(webhooks.isBlockedAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111']) {
+        assert.equal(webhooks.isBlockedAddress(address), false, address);
+    }
+});
+
+test('validateWebhookUrl requires https and a public host', async () => {
+    assert.equal(await webhooks.validateWebhookUrl('not a url'), 'url must be a valid https URL');
+    assert.equal(await webhooks.validateWebhookUrl('http://8.8.8.8/hook'), 'url must be an https URL');
+    assert.equal(await webhooks.validateWebhookUrl('https://8.8.8.8/hook'), null);
+    assert.match(await webhooks.validateWebhookUrl('https://169.254.169.254/latest/meta-data'), /private or local/);
+    assert.match(await webhooks.validateWebhookUrl('https://[::1]:8443/hook'), /private or local/);
+    assert.match(await webhooks.validateWebhookUrl('https://localhost/hook'), /private or local/);
+});
+
+test('deliverWebhook refuses a blocked host without sending anything', async () => {
+    const result = await webhooks.deliverWebhook('https://127.0.0.1:1/hook', SECRET, 'd1', 'otp.verified', {});
+    assert.equal(result.ok, false);
+    assert.equal(result.status, null);
+    assert.match(result.error, /private or local/);
+});
@@ -0,0 +1,143 @@
+/**
+ * webhooks.js — HMAC signing and HTTP delivery of outbound webhook callbacks
+ * Receivers verify X-OTPFlow-Signature the same way verifySignature() does
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+// Receivers should reject signatures older than this to stop replays
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Loopback, private, link-local (incl. 169.254.169.254 metadata), CGNAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 (::ffff:0:0/96) is refused in isBlockedAddress — public hosts never resolve to it.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    if (family === 6 && /^(0{0,4}:){0,5}:?ffff:/i.test(address)) return true;
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for the delivery socket: the address it connects to is the one checked,
+// so a record that changes between registration and delivery cannot point it inward
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+        const blocked = addresses.find(isBlockedAddress);
+        if (blocked) return callback(new Error(`Webhook host resolves to a blocked address (${blocked})`));
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Check a webhook URL: https only, and every address its host resolves to must be public.
+ * Returns an error message, or null when the URL is acceptable.
+ */
+async function validateWebhookUrl(url) {
+    let parsed;
+    try { parsed = new URL(url); } catch (e) { return 'url must be a valid https URL'; }
+    if (parsed.protocol !== 'https:') return 'url must be an https URL';
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return isBlockedAddress(host) ? 'url must not point at a private or local address' : null;
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch (err) {
+        return `url host could not be resolved (${err.code || err.message})`;
+    }
+    if (!addresses.length || addresses.some(a => isBlockedAddress(a.address))) return 'url must not point at a private or local address';
+    return null;
+}
+
+function generateSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header against the raw body — for receivers and tests
+ */
+function verifySignature(secret, body, header, now = Math.floor(Date.now() / 1000)) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1 || Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+    const expected = signPayload(secret, body, timestamp).split('v1=')[1];
+    return expected.length === parts.v1.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+}
+
+function postJson(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const req = https.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: guardedLookup,
+            timeout: DELIVERY_TIMEOUT_MS
+        }, (res) => {
+            res.resume(); // the body is not kept
+            res.on('end', () => resolve(res.statusCode));
+            res.on('error', reject);
+        });
+        req.on('timeout', () => req.destroy(new Error('Webhook delivery timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * POST one signed payload. Redirects are not followed, and the URL is re-checked on every delivery
+ * because DNS can change after registration. Never throws — returns { ok, status, error, durationMs }
+ */
+async function deliverWebhook(url, secret, deliveryId, event, payload) {
+    const body = JSON.stringify(payload);
+    const started = Date.now();
+    try {
+        const invalid = await validateWebhookUrl(url);
+        if (invalid) return { ok: false, status: null, error: invalid, durationMs: Date.now() - started };
+        const status = await postJson(url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'OTPFlow-Webhooks/1.0',
+            'X-OTPFlow-Event': event,
+            'X-OTPFlow-Delivery': deliveryId,
+            'X-OTPFlow-Signature': signPayload(secret, body)
+        }, body);
+        const ok = status >= 200 && status < 300;
+        return {
+            ok,
+            status,
+            error: ok ? null : `HTTP ${status}`,
+            durationMs: Date.now() - started
+        };
+    } catch (err) {
+        return { ok: false, status: null, error: err.message, durationMs: Date.now() - started };
+    }
+}
+
+module.exports = {
+    generateSecret,
+    signPayload,
+    verifySignature,
+    isBlockedAddress,
+    validateWebhookUrl,
+    deliverWebhook
+};